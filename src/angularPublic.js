@@ -0,0 +1,20 @@
+import { setupModuleLoader } from './loader'
+import { $RootScopeProvider } from './scope'
+import { $ExceptionHandlerProvider } from './exceptionHandler'
+
+// Registers core "ng" module with built-in services in the angular realm,
+// sets up and uses the global window.angular if no realm is given.
+// Application modules should require "ng" to use the services.
+export function publishExternalAPI(angular) {
+  if (!angular) {
+    setupModuleLoader(window)
+    angular = window.angular
+  }
+
+  angular
+    .module('ng', [])
+    .provider('$exceptionHandler', $ExceptionHandlerProvider)
+    .provider('$rootScope', $RootScopeProvider)
+
+  return angular
+}
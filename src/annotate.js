@@ -0,0 +1,128 @@
+import { dropRight } from 'lodash'
+
+import { minErr } from './helpers'
+
+const $injectorMinErr = minErr('$injector')
+
+// Extracts the only argument of arrow function without parentheses: a => {}
+const ARROW_ARG = /^(?:async\s+)?([$\w]+)\s*=>/
+// Finds the beginning of constructor arguments list in class definition
+const CLASS_CONSTRUCTOR = /(?:^|[\s;{}])constructor\s*\(/
+// Removes surrounding whitespaces (and underscores like _a_ => a)
+const FN_ARG = /^\s*(_?)(\S+?)\1\s*$/
+
+// Strips line and block comments. String literals are skipped, so "//" inside
+// of them (e.g. in default value 'http://') is not treated as a comment.
+const stripComments = (source) => {
+  let result = ''
+  let quote = null
+
+  for (let i = 0; i < source.length; i++) {
+    const ch = source[i]
+    if (quote) {
+      if (ch === '\\') {
+        result += ch + source[++i]
+        continue
+      } else if (ch === quote) {
+        quote = null
+      }
+    } else if (ch === '"' || ch === "'" || ch === '`') {
+      quote = ch
+    } else if (source.startsWith('//', i)) {
+      const end = source.indexOf('\n', i)
+      i = end < 0 ? source.length : end - 1
+      continue
+    } else if (source.startsWith('/*', i)) {
+      const end = source.indexOf('*/', i + 2)
+      i = end < 0 ? source.length : end + 1
+      continue
+    }
+    result += ch
+  }
+
+  return result
+}
+
+// Splits the source of arguments list by top-level commas, starting right after
+// the opening parenthesis and stopping at the closing one. Nested brackets
+// and string literals (e.g. in default values) are skipped.
+const splitArgs = (source, start) => {
+  const args = []
+  let current = ''
+  let depth = 0
+  let quote = null
+
+  for (let i = start; i < source.length; i++) {
+    const ch = source[i]
+    if (quote) {
+      if (ch === '\\') {
+        current += ch + source[++i]
+        continue
+      } else if (ch === quote) {
+        quote = null
+      }
+    } else if (ch === '"' || ch === "'" || ch === '`') {
+      quote = ch
+    } else if ('([{'.includes(ch)) {
+      depth++
+    } else if (')]}'.includes(ch)) {
+      if (depth === 0) break // closing parenthesis of arguments list
+      depth--
+    } else if (ch === ',' && depth === 0) {
+      args.push(current)
+      current = ''
+      continue
+    }
+    current += ch
+  }
+
+  args.push(current)
+  return args
+}
+
+// Extracts argument names out of the function source. Supports plain and async
+// functions, arrow functions, methods and ES classes. Default values are dropped.
+export const parseParams = (fn) => {
+  const source = stripComments(fn.toString()).trim()
+
+  let args
+  if (/^class\b/.test(source)) {
+    const constructorMatch = source.match(CLASS_CONSTRUCTOR)
+    // Class without own constructor has no arguments to inject
+    args = constructorMatch
+      ? splitArgs(source, constructorMatch.index + constructorMatch[0].length)
+      : []
+  } else {
+    const arrowArg = source.match(ARROW_ARG)
+    args = arrowArg ? [arrowArg[1]] : splitArgs(source, source.indexOf('(') + 1)
+  }
+
+  return args
+    .map((arg) => arg.split('=')[0].replace('...', '').trim())
+    .filter((arg) => arg)
+    .map((arg) => {
+      const match = arg.match(FN_ARG)
+      // Destructured parameter has no name to be injected by
+      if (!match || /^[[{]/.test(arg)) {
+        throw $injectorMinErr(
+          'badparam',
+          `Cannot infer injection token of parameter ${arg} of ${
+            fn.name || 'anonymous function'
+          }, use explicit annotation`,
+          { param: arg },
+        )
+      }
+      return match[2]
+    })
+}
+
+// Returns explicitly annotated dependencies of the function, if there are any
+export const getExplicitAnnotation = (fn) => {
+  if (Array.isArray(fn)) {
+    // ['a', 'b', function (a, b) {}] case
+    return dropRight(fn)
+  } else if (fn.$inject) {
+    // fn.$inject = ['a', 'b'] case
+    return fn.$inject
+  }
+}
@@ -0,0 +1,166 @@
+import { forEach, isFunction, uniq, without } from 'lodash'
+
+import { getTokenName, stripOptional } from './helpers'
+import { getExplicitAnnotation, parseParams } from './annotate'
+
+// Dependencies are collected without strict DI checks, so graph can be
+// built for any set of modules. Functions which can't be annotated
+// (with destructured parameters) are shown without dependencies.
+const getDependencies = (fn) => {
+  if (!fn) return []
+  try {
+    return (getExplicitAnnotation(fn) || parseParams(fn)).map(stripOptional)
+  } catch (err) {
+    return []
+  }
+}
+
+// Returns the function whose arguments are the runtime dependencies of the recipe
+export const getInjectable = (recipe, value) => {
+  switch (recipe) {
+    case 'factory':
+    case 'service':
+    case 'multi':
+      return value
+    case 'provider':
+      // Provider constructor is injected with other providers, not instances,
+      // so its runtime dependencies are known only after instantiation
+      return isFunction(value) ? null : value.$get
+    default:
+      return null // constant and value have no dependencies
+  }
+}
+
+// Collects modules, registered tokens and their dependencies
+export class DependencyGraph {
+  constructor() {
+    this.modules = new Map() // module name => required module names
+    this.tokens = new Map() // token => { module, recipe, injectables }
+    this.runBlocks = [] // run block functions, their dependencies count as usages
+  }
+
+  addModule(name, requires = []) {
+    this.modules.set(name, requires)
+  }
+
+  // Registers token with the recipe ($provide method) and the function to be
+  // injected with token dependencies. Later registration overrides the former one
+  // except for multi-bindings which collect dependencies of all contributions.
+  addToken(name, recipe, injectable, module = null) {
+    const token = this.tokens.get(name)
+    if (recipe === 'multi' && token && token.recipe === 'multi') {
+      token.injectables.push(injectable)
+      return
+    }
+    this.tokens.set(name, {
+      module,
+      recipe,
+      injectables: injectable ? [injectable] : [],
+    })
+  }
+
+  // Decorator dependencies (except for the $delegate) are added to the token ones
+  addDecorator(name, decoratorFn) {
+    const token = this.tokens.get(name)
+    if (token) {
+      token.injectables.push(decoratorFn)
+    }
+  }
+
+  addRunBlock(fn) {
+    this.runBlocks.push(fn)
+  }
+
+  // Returns the graph as plain JSON-compatible object, Symbol and class tokens
+  // are replaced with their names. Token is used if it is a dependency of
+  // another token or run block or if it is in the usedTokens.
+  toObject(usedTokens = new Set()) {
+    const tokens = []
+    const referenced = new Set()
+
+    this.tokens.forEach(({ module, recipe, injectables }, name) => {
+      const dependencies = without(
+        uniq([].concat(...injectables.map(getDependencies))),
+        '$delegate',
+      )
+      forEach(dependencies, (dependency) => referenced.add(dependency))
+      tokens.push({ token: name, module, recipe, dependencies })
+    })
+    forEach(this.runBlocks, (runBlock) => {
+      forEach(getDependencies(runBlock), (dependency) =>
+        referenced.add(dependency),
+      )
+    })
+
+    return {
+      modules: Array.from(this.modules, ([name, requires]) => ({
+        name,
+        requires: requires.filter((required) => typeof required === 'string'),
+      })),
+      tokens: tokens.map(({ token, module, recipe, dependencies }) => ({
+        name: getTokenName(token),
+        module,
+        recipe,
+        dependencies: dependencies.map(getTokenName),
+        used: referenced.has(token) || usedTokens.has(token),
+      })),
+    }
+  }
+}
+
+// Serializes graph object to Graphviz DOT format. Tokens are grouped into
+// clusters by module, unused tokens are drawn dashed.
+export const graphToDot = ({ modules, tokens }) => {
+  const quote = (str) => JSON.stringify(String(str))
+  const lines = ['digraph dependencies {', '  rankdir=LR;']
+
+  forEach(modules, ({ name }, i) => {
+    lines.push(`  subgraph cluster_${i} {`)
+    lines.push(`    label=${quote(name)};`)
+    forEach(tokens, (token) => {
+      if (token.module === name) {
+        const style = token.used ? '' : ' [style=dashed]'
+        lines.push(`    ${quote(token.name)}${style};`)
+      }
+    })
+    lines.push('  }')
+  })
+  forEach(tokens, (token) => {
+    forEach(token.dependencies, (dependency) => {
+      lines.push(`  ${quote(token.name)} -> ${quote(dependency)};`)
+    })
+  })
+
+  lines.push('}')
+  return lines.join('\n')
+}
+
+// Builds dependency graph of modules (with their requirements) out of their
+// invoke queues without creating an injector. Function modules are skipped.
+// Modules are taken from the given angular realm, window.angular by default.
+export const getModuleGraph = (
+  moduleNames,
+  angular = typeof window !== 'undefined' ? window.angular : undefined,
+) => {
+  const graph = new DependencyGraph()
+
+  const walk = (name) => {
+    if (typeof name !== 'string' || graph.modules.has(name)) return
+
+    const module = angular.module(name)
+    graph.addModule(name, module.requires)
+    forEach(module.requires, walk)
+    forEach(module._invokeQueue, ([, recipe, args]) => {
+      graph.addToken(args[0], recipe, getInjectable(recipe, args[1]), name)
+    })
+    forEach(module._configBlocks, ([, method, args]) => {
+      if (method === 'decorator') {
+        graph.addDecorator(args[0], args[1])
+      }
+    })
+    forEach(module._runBlocks, (runBlock) => graph.addRunBlock(runBlock))
+  }
+
+  forEach(moduleNames, walk)
+  return graph.toObject()
+}
@@ -0,0 +1,8 @@
+// Errors caught by the framework (e.g. in watchers) are logged to the console by default
+export const defaultExceptionHandler = (err) => console.error(err)
+
+// Provider of the $exceptionHandler(err, cause) service. The service can be
+// overridden or decorated to report errors or to rethrow them in tests.
+export function $ExceptionHandlerProvider() {
+  this.$get = () => defaultExceptionHandler
+}
@@ -0,0 +1,16 @@
+// Error thrown by framework components. Code is namespaced (like "$injector:unpr"),
+// so errors can be told apart without parsing their messages.
+export class MinError extends Error {
+  constructor(namespace, code, message, details) {
+    super(`[${namespace}:${code}] ${message}`)
+    this.name = 'MinError'
+    this.code = `${namespace}:${code}`
+    Object.assign(this, details) // e.g. dependency path or module name
+  }
+}
+
+// Creates error factory for the given namespace:
+// const $injectorMinErr = minErr('$injector')
+// throw $injectorMinErr('cdep', 'Circular dependency found', { path })
+export const minErr = (namespace) => (code, message, details) =>
+  new MinError(namespace, code, message, details)
@@ -3,3 +3,30 @@ export const isDomNode = (obj) =>
 
 export const simpleCompare = (newValue, oldValue) =>
   newValue === oldValue || (Number.isNaN(newValue) && Number.isNaN(oldValue))
+
+// High resolution time in milliseconds when available, used for profiling
+export const now = () =>
+  typeof performance !== 'undefined' ? performance.now() : Date.now()
+
+// Returns trimmed V8 stack frames ("at fn (file:line:column)") of the error
+export const getStackFrames = (error) =>
+  (error.stack || '')
+    .split('\n')
+    .filter((line) => /^\s*at /.test(line))
+    .map((line) => line.trim())
+
+// Optional "?token" dependency refers to the "token"
+export const stripOptional = (token) =>
+  typeof token === 'string' && token.startsWith('?') ? token.slice(1) : token
+
+// Returns readable name of the injection token: string, Symbol or constructor function
+export const getTokenName = (token) => {
+  switch (typeof token) {
+    case 'symbol':
+      return token.description || token.toString()
+    case 'function':
+      return token.name || 'anonymous function'
+    default:
+      return String(token)
+  }
+}
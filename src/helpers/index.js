@@ -1 +1,2 @@
-export * from './helpers'
\ No newline at end of file
+export * from './helpers'
+export * from './errors'
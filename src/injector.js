@@ -1,96 +1,703 @@
-import { forEach, dropRight, last } from 'lodash'
+import { forEach, forEachRight, last, isFunction, constant, noop } from 'lodash'
 
-export function createInjector(modulesToLoad, strictDi) {
-  const cache = {}
-  const loadedModules = {} // keeps map of loaded modules to prevent circular dependencies
+import { minErr, getTokenName, getStackFrames, stripOptional } from './helpers'
+import { getRegistrationStack } from './loader'
+import { getExplicitAnnotation, parseParams } from './annotate'
+import { DependencyGraph, getInjectable } from './dependencyGraph'
+import { InjectorTrace } from './injectorTrace'
+
+const $injectorMinErr = minErr('$injector')
+const ngMinErr = minErr('ng')
+
+// Marks the service which is being instantiated to detect circular dependencies
+const INSTANTIATING = Symbol('instantiating')
+
+// Injection token is either a string, a Symbol or a constructor function
+const assertValidToken = (token, path) => {
+  if (
+    typeof token !== 'string' &&
+    typeof token !== 'symbol' &&
+    typeof token !== 'function'
+  ) {
+    throw $injectorMinErr(
+      'itkn',
+      'Incorrect injection token! Expected a string, Symbol or function, got ' +
+        token,
+      { path: [...path] },
+    )
+  }
+}
+
+// Providers of non-string tokens are registered under generated Symbols.
+// Class tokens are kept weakly, so they can be garbage collected with their
+// injectors. Symbols can't be WeakMap keys in every browser, so they're kept
+// in the Map (they're usually module-level constants anyway).
+const classProviderTokens = new WeakMap()
+const symbolProviderTokens = new Map()
+
+// Returns the token provider is registered with: "aProvider" for "a" token.
+// Use it to inject provider of Symbol or class token into config blocks.
+export const getProviderToken = (token) => {
+  if (typeof token === 'string') return token + 'Provider'
+  const providerTokens =
+    typeof token === 'function' ? classProviderTokens : symbolProviderTokens
+  if (!providerTokens.has(token)) {
+    providerTokens.set(token, Symbol(getTokenName(token) + 'Provider'))
+  }
+  return providerTokens.get(token)
+}
+
+// Joins dependency path for error message: "aProvider <- a <- b"
+const formatPath = (path) => path.map(getTokenName).join(' <- ')
+
+// Injector internal stack frames skipped when looking for the caller location.
+// Files can't be used for that as the code is usually bundled into one file.
+const INTERNAL_FRAME =
+  /^at (?:(?:Object|InjectorTrace)\.)?(?:annotate|injectArgs|invoke|instantiate|get|getAsync|getService|getServiceAsync|invokeAsync|invokeFactory|construct|createFn|runInvokeQueue|loadModules?|createInjector|traced?|forEach|arrayEach|Array\.(?:map|forEach))\b|\[as \$\$?get(?:Async)?\]/
+
+// Returns stack frames of the current call, starting with the first frame
+// outside of the injector (best effort, as it relies on function names)
+const getCallerStack = () => {
+  const frames = getStackFrames(new Error()).slice(1) // getCallerStack itself
+  const firstExternal = frames.findIndex((line) => !INTERNAL_FRAME.test(line))
+  return firstExternal >= 0 ? frames.slice(firstExternal) : frames
+}
+
+// Keeps internals of injectors which are required by their child injectors
+const injectorInternals = new WeakMap()
+
+// Returns the name of module to be shown in errors
+const getModuleName = (module) => {
+  if (typeof module === 'string') return module
+  const fn = Array.isArray(module) ? last(module) : module
+  return (fn && fn.name) || module.name || 'anonymous function'
+}
+
+// strictDi: true to require explicit annotations, 'audit' to report non-annotated
+// functions with getDiAuditReport instead of throwing.
+// Options:
+// - parent: instance injector to resolve tokens which are not registered locally,
+//   its providers cannot be injected into config blocks of the child modules
+// - trace: true or hook function to record instantiations, see getTrace
+// - registry: angular realm (see createAngular) to load named modules from,
+//   window.angular by default
+export function createInjector(modulesToLoad, strictDi, options = {}) {
+  const parentInternals =
+    options.parent && injectorInternals.get(options.parent)
+  // Caches are Maps as tokens can be Symbols or constructor functions
+  const providerCache = new Map() // keeps providers (with "Provider" suffix) and constants
+  const instanceCache = new Map() // keeps constants and lazily instantiated services
+  // Keeps map of loaded modules to prevent circular dependencies. Function modules
+  // are stored by reference, so the Map is used instead of the plain object.
+  const loadedModules = new Map()
+  const path = [] // chain of services being instantiated, the latest goes first
+  const graph = new DependencyGraph() // registered modules and tokens
+  const usedTokens = new Set() // tokens which have been requested from the injector
+  const multiProviders = new WeakSet() // providers collecting multi-binding contributions
+  const createdInstances = [] // instances in creation order, used to call $onDestroy hooks
+  const pendingInstances = new Map() // promises of instances being resolved by getAsync
+  let destroyed = false
+  let currentModule = null // name of the module being loaded, tokens are attributed to it
+  // Audit mode injects non-annotated functions like non-strict mode, but
+  // records them to the report to help with the strict mode migration
+  const auditDi = strictDi === 'audit'
+  const auditReport = new Map() // non-annotated function => report entry
   strictDi = strictDi === true // the value should be true, not just truthy
+  // Registry is resolved lazily as the global one can be set up after injector creation
+  const getRegistry = () => {
+    const registry =
+      options.registry || (typeof window !== 'undefined' && window.angular)
+    if (!registry) {
+      throw $injectorMinErr(
+        'noreg',
+        'No module registry: pass registry option or set up window.angular',
+      )
+    }
+    return registry
+  }
+  // Instantiations trace, tracing is disabled unless requested
+  const trace = options.trace ? new InjectorTrace(options.trace) : null
+  const traced = (type, token, tracePath, createFn) =>
+    trace ? trace.trace(type, token, tracePath, createFn) : createFn()
+
+  const annotate = (fn) => {
+    const explicitAnnotation = getExplicitAnnotation(fn)
+    if (explicitAnnotation) {
+      return explicitAnnotation
+    }
+
+    // Function length can't be used for the check as it doesn't count
+    // parameters with default values
+    const params = parseParams(fn)
+    if (!params.length) {
+      // Non-annotated function without arguments
+      return []
+    } else if (strictDi) {
+      throw $injectorMinErr(
+        'strictdi',
+        (fn.name || 'fn') +
+          ' is not using explicit annotation and cannot be invoked in strict mode',
+        { args: params, path: [...path] },
+      )
+    } else {
+      if (auditDi && !auditReport.has(fn)) {
+        // Functions registered in modules are reported by the registration site
+        const stack = getRegistrationStack(fn) || getCallerStack()
+        auditReport.set(fn, {
+          name: fn.name || 'anonymous function',
+          args: params,
+          location: stack[0] || null,
+          stack,
+        })
+      }
+      return params
+    }
+  }
+
+  const assertNotDestroyed = () => {
+    if (destroyed) {
+      throw $injectorMinErr('destroyed', 'Injector has been destroyed')
+    }
+  }
+
+  // Instance can be tracked twice, e.g. when decorator returns its $delegate
+  const trackInstance = (instance) => {
+    if (!createdInstances.includes(instance)) {
+      createdInstances.push(instance)
+    }
+    return instance
+  }
+
+  // Creates injector working on top of the given cache. Missing values are
+  // lazily instantiated with providers returned by getProvider function.
+  // Tokens which are not registered locally are resolved by the parent injector.
+  const createInternalInjector = (cache, getProvider, parent) => {
+    const hasOwn = (name) =>
+      cache.has(name) || providerCache.has(getProviderToken(name))
+    const has = (name) => hasOwn(name) || (!!parent && parent.has(name))
+
+    // Returns value from the cache or instantiates it. Instantiated values
+    // are singletons, so provider's $get is called only once for every name.
+    // Optional dependency is marked with "?" prefix: "?name" token is resolved
+    // to undefined instead of throwing when there is no such service.
+    const getService = (token) => {
+      assertNotDestroyed()
+      const optional = typeof token === 'string' && token.startsWith('?')
+      const name = optional ? token.slice(1) : token
+      usedTokens.add(name)
+
+      if (cache.has(name)) {
+        if (cache.get(name) === INSTANTIATING) {
+          const cyclePath = [name, ...path]
+          throw $injectorMinErr(
+            'cdep',
+            'Circular dependency found: ' + formatPath(cyclePath),
+            { path: cyclePath },
+          )
+        }
+        return cache.get(name)
+      }
+      // Instance being resolved by getAsync can't be returned synchronously,
+      // and instantiating it once again would break the singleton
+      if (cache === instanceCache && pendingInstances.has(name)) {
+        const pendingPath = [name, ...path]
+        throw $injectorMinErr(
+          'pending',
+          `${getTokenName(
+            name,
+          )} is being instantiated asynchronously, use getAsync: ` +
+            formatPath(pendingPath),
+          { path: pendingPath },
+        )
+      }
+      if (parent && !hasOwn(name) && parent.has(name)) {
+        return parent.get(name)
+      }
+      if (optional && !has(name)) return undefined
+
+      path.unshift(name)
+      cache.set(name, INSTANTIATING)
+      try {
+        const provider = getProvider(name)
+        if (!provider) {
+          throw $injectorMinErr(
+            'unpr',
+            'Unknown provider: ' + formatPath(path),
+            { path: [...path] },
+          )
+        }
+        const invokeFactory = () =>
+          instanceInjector.invoke(provider.$get, provider)
+        const instance = traced('factory', name, path.slice(1), invokeFactory)
+        cache.set(name, instance)
+        return trackInstance(instance)
+      } finally {
+        path.shift()
+        // Failed instantiation should not block next attempts
+        if (cache.get(name) === INSTANTIATING) {
+          cache.delete(name)
+        }
+      }
+    }
+
+    // Resolves arguments of the function to be injected with
+    const injectArgs = (fn, locals) =>
+      annotate(fn).map((token) => {
+        assertValidToken(token, path)
+        // Provided locals can override injections (used by directives)
+        const localName = stripOptional(token)
+        return locals && locals.hasOwnProperty(localName)
+          ? locals[localName]
+          : getService(token)
+      })
+
+    // Applies injected arguments to the provided function
+    const invoke = (fn, self, locals) => {
+      assertNotDestroyed()
+      const args = injectArgs(fn, locals)
+      if (Array.isArray(fn)) {
+        fn = last(fn)
+      }
+      return fn.apply(self, args)
+    }
+
+    // Used to inject constructor functions. Constructor is called with `new`
+    // as ES classes cannot be called as plain functions.
+    const instantiate = (Type, locals) => {
+      assertNotDestroyed()
+      const UnwrappedType = Array.isArray(Type) ? last(Type) : Type
+      const construct = () => new UnwrappedType(...injectArgs(Type, locals))
+      return traced('instantiate', UnwrappedType, path, construct)
+    }
+
+    return {
+      has,
+      get: getService,
+      invoke,
+      annotate,
+      instantiate,
+    }
+  }
+
+  // Providers of the parent injector are shared with it, so child modules
+  // can't inject them: their configuration would change the parent services.
+  // Parent constants are available, they are in the parent instance injector too.
+  const parentProviderInjector = parentInternals && {
+    has: (name) => parentInternals.providerInjector.has(name),
+    get: (name) => {
+      if (!options.parent.has(name)) {
+        throw $injectorMinErr(
+          'parentprov',
+          `${getTokenName(
+            name,
+          )} belongs to the parent injector and cannot be configured in child modules, ` +
+            'register the override in the child instead',
+          { path: [name, ...path] },
+        )
+      }
+      return parentInternals.providerInjector.get(name)
+    },
+  }
+
+  // Provider injector is used at configuration time, only providers and constants are available.
+  const providerInjector = createInternalInjector(
+    providerCache,
+    noop,
+    parentProviderInjector,
+  )
+
+  // Instance injector lazily instantiates services using their providers.
+  // Unknown provider error is thrown by provider injector, so the path
+  // starts with the missing provider name: "aProvider <- a <- b".
+  const instanceInjector = createInternalInjector(
+    instanceCache,
+    (name) => providerInjector.get(getProviderToken(name)),
+    options.parent,
+  )
+
+  // Records the token to the dependency graph. Recipes based on the other ones
+  // are recorded last, so they override the base recipe in the graph.
+  const addToGraph = (key, recipe, value) => {
+    graph.addToken(key, recipe, getInjectable(recipe, value), currentModule)
+  }
 
   const $provide = {
     constant: function (key, value) {
       if (key === 'hasOwnProperty') {
-        throw '"hasOwnProperty" is not a valid constant name'
+        throw ngMinErr(
+          'badname',
+          '"hasOwnProperty" is not a valid constant name',
+        )
       }
 
-      cache[key] = value
+      providerCache.set(key, value)
+      instanceCache.set(key, value)
+      addToGraph(key, 'constant', value)
+    },
+    // Provider is an object with $get method or a constructor function for it
+    provider: function (key, provider) {
+      if (isFunction(provider)) {
+        provider = providerInjector.instantiate(provider)
+      }
+      providerCache.set(getProviderToken(key), provider)
+      addToGraph(key, 'provider', provider)
+    },
+    factory: function (key, factoryFn) {
+      this.provider(key, { $get: factoryFn })
+      addToGraph(key, 'factory', factoryFn)
+    },
+    value: function (key, value) {
+      this.factory(key, constant(value))
+      addToGraph(key, 'value', value)
+    },
+    service: function (key, Constructor) {
+      this.factory(key, () => instanceInjector.instantiate(Constructor))
+      // Async counterpart of $get used by getAsync to resolve constructor
+      // dependencies asynchronously
+      providerCache.get(getProviderToken(key)).$$getAsync = (asyncPath) =>
+        instantiateAsync(Constructor, undefined, asyncPath)
+      addToGraph(key, 'service', Constructor)
+    },
+    // Multi-binding collects contributions of several modules under one token.
+    // The instance is an array of contributions instances in registration order.
+    multi: function (key, factoryFn) {
+      let provider = providerCache.get(getProviderToken(key))
+      if (!provider) {
+        const contributions = []
+        provider = {
+          contributions,
+          $get: () =>
+            contributions.map((fn) =>
+              trackInstance(instanceInjector.invoke(fn)),
+            ),
+          // Async contributions are resolved in parallel by getAsync
+          $$getAsync: (asyncPath) =>
+            Promise.all(
+              contributions.map((fn) =>
+                invokeAsync(fn, null, undefined, asyncPath).then(trackInstance),
+              ),
+            ),
+        }
+        multiProviders.add(provider)
+        providerCache.set(getProviderToken(key), provider)
+      } else if (!multiProviders.has(provider)) {
+        const name = getTokenName(key)
+        throw $injectorMinErr(
+          'multi',
+          `Cannot add multi-binding to ${name} registered with a single provider`,
+        )
+      }
+      provider.contributions.push(factoryFn)
+      addToGraph(key, 'multi', factoryFn)
+    },
+    // Decorator receives original instance as $delegate local, its return value
+    // replaces the instance. Several decorators are applied in registration order.
+    decorator: function (serviceName, decoratorFn) {
+      const providerToken = getProviderToken(serviceName)
+      let provider
+      if (providerCache.has(providerToken) || !parentInternals) {
+        provider = providerInjector.get(providerToken)
+      } else {
+        // Provider of the parent injector is decorated by its copy, so the
+        // parent instance stays intact and the child gets its own one
+        provider = Object.create(
+          parentInternals.providerInjector.get(providerToken),
+        )
+        providerCache.set(providerToken, provider)
+      }
+      const original$get = provider.$get
+      const original$getAsync = provider.$$getAsync
+      provider.$get = () => {
+        // Decorated instance is tracked too, as decorator can wrap it
+        const instance = trackInstance(
+          instanceInjector.invoke(original$get, provider),
+        )
+        return instanceInjector.invoke(decoratorFn, null, {
+          $delegate: instance,
+        })
+      }
+      // Async counterpart of $get used by getAsync: the original instance
+      // is resolved before it's passed to the decorator
+      provider.$$getAsync = (asyncPath) =>
+        getFromProviderAsync(
+          { $get: original$get, $$getAsync: original$getAsync },
+          provider,
+          asyncPath,
+        ).then((instance) =>
+          invokeAsync(
+            decoratorFn,
+            null,
+            { $delegate: trackInstance(instance) },
+            asyncPath,
+          ),
+        )
+      graph.addDecorator(serviceName, decoratorFn)
     },
   }
 
-  // Recursive function to load module and all of its dependencies
-  const loadModule = (moduleName) => {
-    if (loadedModules.hasOwnProperty(moduleName)) return
+  // Loaded named modules by their names, modules of the parent injectors
+  // are available through the prototype. Used to read module info for diagnostics.
+  const modules = Object.create(options.parent ? options.parent.modules : null)
+  instanceInjector.modules = modules
 
-    const module = window.angular.module(moduleName)
-    loadedModules[moduleName] = true
+  providerCache.set('$provide', $provide)
+  providerCache.set('$injector', providerInjector)
+  instanceCache.set('$injector', instanceInjector)
 
-    forEach(module.requires, loadModule)
-    forEach(module._invokeQueue, ([method, args]) => {
-      $provide[method].apply($provide, args)
+  // Calls methods of provider injector services ($provide, $injector) queued by module
+  const runInvokeQueue = (queue) => {
+    forEach(queue, ([serviceName, method, args]) => {
+      const service = providerInjector.get(serviceName)
+      service[method].apply(service, args)
     })
   }
 
-  forEach(modulesToLoad, loadModule)
+  // Recursive function to load module and all of its dependencies.
+  // Function (or array-annotated function) is treated as anonymous config module
+  // and its return value (if any) is used as a run block.
+  // Run blocks are collected to be run when all modules are loaded.
+  // Modules loaded by parent injectors are not loaded again
+  const isModuleLoaded = (module) =>
+    loadedModules.has(module) ||
+    (!!parentInternals && parentInternals.isModuleLoaded(module))
 
-  // Applies injected arguments to the provided function
-  const invoke = (fn, self, locals) => {
-    const args = annotate(fn).map((token) => {
-      if (typeof token === 'string') {
-        // Provided locals can override injections (used by directives)
-        return locals && locals.hasOwnProperty(token)
-          ? locals[token]
-          : cache[token]
-      } else {
-        throw 'Incorrect injection token! Expected a string, got ' + token
+  const loadModule = (module, runBlocks) => {
+    if (isModuleLoaded(module)) return
+    // Module is marked before loading to skip circular requirements
+    const moduleKey = module
+    loadedModules.set(moduleKey, true)
+
+    try {
+      if (typeof module === 'string') {
+        module = getRegistry().module(module)
+        modules[module.name] = module
+
+        forEach(module.requires, (required) => loadModule(required, runBlocks))
+        currentModule = module.name
+        graph.addModule(module.name, module.requires)
+        runInvokeQueue(module._invokeQueue)
+        runInvokeQueue(module._configBlocks)
+        runBlocks.push(...module._runBlocks)
+      } else if (isFunction(module) || Array.isArray(module)) {
+        currentModule = getModuleName(module)
+        graph.addModule(currentModule)
+        const runBlock = providerInjector.invoke(module)
+        // Expression-bodied arrow modules can return unrelated values
+        if (isFunction(runBlock) || Array.isArray(runBlock)) {
+          runBlocks.push(runBlock)
+        }
+      }
+    } catch (err) {
+      // Failed module can be loaded again, e.g. with loadNewModules
+      loadedModules.delete(moduleKey)
+      if (typeof moduleKey === 'string') {
+        delete modules[moduleKey]
       }
+      // Error of the required module is already wrapped
+      if (err && err.code === '$injector:modulerr') throw err
+
+      const moduleName = getModuleName(module)
+      throw $injectorMinErr(
+        'modulerr',
+        `Failed to instantiate module ${moduleName} due to:\n${
+          (err && err.message) || err
+        }`,
+        { module: moduleName, cause: err },
+      )
+    }
+  }
+
+  const loadModules = (modules) => {
+    assertNotDestroyed()
+    const runBlocks = []
+    forEach(modules, (module) => loadModule(module, runBlocks))
+    currentModule = null
+    forEach(runBlocks, (runBlock) => {
+      graph.addRunBlock(runBlock)
+      instanceInjector.invoke(runBlock)
     })
-    if (Array.isArray(fn)) {
-      fn = last(fn)
+  }
+
+  // Asynchronous counterpart of the instance injector getService. Promises returned
+  // by factories are awaited and dependencies are resolved in parallel.
+  // asyncPath is the chain of tokens which led to this one, the latest goes first.
+  const getServiceAsync = (token, asyncPath) => {
+    try {
+      assertNotDestroyed()
+      const optional = typeof token === 'string' && token.startsWith('?')
+      const name = optional ? token.slice(1) : token
+      usedTokens.add(name)
+
+      // Dependency chain can't be checked with the INSTANTIATING marker
+      // as several chains are resolved at the same time
+      if (asyncPath.includes(name)) {
+        const cyclePath = [name, ...asyncPath]
+        throw $injectorMinErr(
+          'cdep',
+          'Circular dependency found: ' + formatPath(cyclePath),
+          { path: cyclePath },
+        )
+      }
+      if (pendingInstances.has(name)) {
+        return pendingInstances.get(name)
+      }
+      if (
+        instanceCache.has(name) &&
+        instanceCache.get(name) !== INSTANTIATING
+      ) {
+        return Promise.resolve(instanceCache.get(name))
+      }
+
+      const providerToken = getProviderToken(name)
+      if (!providerCache.has(providerToken)) {
+        if (options.parent && options.parent.has(name)) {
+          return options.parent.getAsync(name)
+        }
+        if (optional) return Promise.resolve(undefined)
+
+        const unknownPath = [providerToken, name, ...asyncPath]
+        throw $injectorMinErr(
+          'unpr',
+          'Unknown provider: ' + formatPath(unknownPath),
+          { path: unknownPath },
+        )
+      }
+
+      const provider = providerCache.get(providerToken)
+      const finishTrace = trace && trace.start('async', name, asyncPath)
+      const promise = getFromProviderAsync(provider, provider, [
+        name,
+        ...asyncPath,
+      ]).then(
+        (instance) => {
+          if (finishTrace) finishTrace(true)
+          pendingInstances.delete(name)
+          instanceCache.set(name, instance)
+          return trackInstance(instance)
+        },
+        (err) => {
+          if (finishTrace) finishTrace(false)
+          // Failed instantiation should not block next attempts
+          pendingInstances.delete(name)
+          throw err
+        },
+      )
+      pendingInstances.set(name, promise)
+      return promise
+    } catch (err) {
+      return Promise.reject(err)
     }
-    return fn.apply(self, args)
   }
 
-  const annotate = (fn) => {
-    if (Array.isArray(fn)) {
-      // ['a', 'b', function (a, b) {}] case
-      return dropRight(fn)
-    } else if (fn.$inject) {
-      // fn.$inject = ['a', 'b'] case
-      return fn.$inject
-    } else if (!fn.length) {
-      // Non-annotated function without arguments
-      return []
-    } else {
-      if (strictDi) {
-        throw 'fn is not using explicit annotation and cannot be invoked in strict mode'
-      }
-
-      // Extracts arguments list out of function definition
-      const FN_ARGS = /^function\s*[^(]*\(\s*([^)]*)\)/m
-      // Removes surrounding whitespaces (and underscores like _a_ => a)
-      const FN_ARG = /^\s*(_?)(\S+?)\1\s*$/
-      // Strips two types of comments, multiline
-      const STRIP_COMMENTS = /(\/\/.*$)|(\/\*.*?\*\/)/gm
-
-      const source = fn.toString().replace(STRIP_COMMENTS, '')
-      const argDeclaration = source.match(FN_ARGS)
-      return argDeclaration[1]
-        .split(',')
-        .map((argName) => argName.match(FN_ARG)[2])
+  // Returns promise of resolved arguments of the function
+  const injectArgsAsync = (fn, locals, asyncPath) => {
+    try {
+      assertNotDestroyed()
+      const args = annotate(fn).map((token) => {
+        assertValidToken(token, asyncPath)
+        const localName = stripOptional(token)
+        return locals && locals.hasOwnProperty(localName)
+          ? locals[localName]
+          : getServiceAsync(token, asyncPath)
+      })
+      return Promise.all(args)
+    } catch (err) {
+      return Promise.reject(err)
     }
   }
 
-  // Used to inject constructor functions
-  const instantiate = (Type, locals) => {
+  const invokeAsync = (fn, self, locals, asyncPath = []) =>
+    injectArgsAsync(fn, locals, asyncPath).then((args) =>
+      (Array.isArray(fn) ? last(fn) : fn).apply(self, args),
+    )
+
+  const instantiateAsync = (Type, locals, asyncPath = []) => {
     const UnwrappedType = Array.isArray(Type) ? last(Type) : Type
-    const instance = Object.create(UnwrappedType.prototype)
-    invoke(Type, instance, locals)
-    return instance
+    return injectArgsAsync(Type, locals, asyncPath).then(
+      (args) => new UnwrappedType(...args),
+    )
   }
 
-  return {
-    has: (key) => cache.hasOwnProperty(key),
-    get: (key) => cache[key],
-    invoke,
-    annotate,
-    instantiate,
+  // Calls async counterpart of provider $get if there is one (for recipes which
+  // inject dependencies themselves: service, decorator) or invokes $get with
+  // asynchronously resolved dependencies
+  const getFromProviderAsync = ({ $get, $$getAsync }, self, asyncPath) =>
+    $$getAsync
+      ? $$getAsync(asyncPath)
+      : invokeAsync($get, self, undefined, asyncPath)
+
+  // Async versions of get and invoke return promises resolved when all the
+  // (possibly async) dependencies are resolved. Resolved instances are cached,
+  // so later sync get returns the instance instead of the promise.
+  instanceInjector.getAsync = (token) => getServiceAsync(token, [])
+  instanceInjector.invokeAsync = (fn, self, locals) =>
+    invokeAsync(fn, self, locals)
+
+  // Allows loading modules registered after the injector is created. Already
+  // loaded modules are skipped. Note that config blocks of the new modules can't
+  // affect services which have been instantiated already.
+  instanceInjector.loadNewModules = loadModules
+
+  // Returns modules and tokens registered by them with dependencies of every token.
+  // Token is marked as used if it has been requested or some other token depends on it.
+  instanceInjector.getDependencyGraph = () => graph.toObject(usedTokens)
+
+  // Calls $onDestroy hooks of all instantiated services in reverse creation
+  // order and clears the instance cache. Injector can't be used afterwards.
+  // Hook errors don't stop other hooks, the first of them is rethrown.
+  instanceInjector.destroy = () => {
+    if (destroyed) return
+    destroyed = true
+
+    const errors = []
+    forEachRight(createdInstances, (instance) => {
+      if (instance && isFunction(instance.$onDestroy)) {
+        try {
+          instance.$onDestroy()
+        } catch (err) {
+          errors.push(err)
+        }
+      }
+    })
+    createdInstances.length = 0
+    instanceCache.clear()
+
+    if (errors.length) {
+      throw errors[0]
+    }
   }
+
+  // Returns recorded instantiations when tracing is enabled: the token, the type
+  // (factory $get call, constructor instantiation or async factory), the path of
+  // tokens which triggered it, start time and duration in milliseconds.
+  // Duration includes instantiation of the dependencies.
+  instanceInjector.getTrace = () => (trace ? trace.toArray() : [])
+
+  // Returns the trace in Chrome trace-event format, can be saved with
+  // JSON.stringify and opened in chrome://tracing or Perfetto
+  instanceInjector.getChromeTrace = () =>
+    trace ? trace.toChromeTrace() : { traceEvents: [], displayTimeUnit: 'ms' }
+
+  // Creates injector which resolves tokens of the given modules locally and
+  // falls back to this injector for the rest. Child has its own instance cache,
+  // so overriding a service in the child does not affect the parent.
+  instanceInjector.createChild = (modules) =>
+    createInjector(modules, auditDi ? 'audit' : strictDi, {
+      parent: instanceInjector,
+      trace: options.trace,
+      registry: options.registry,
+    })
+
+  // Returns functions which were injected without explicit annotation in audit
+  // mode: their names, inferred arguments and the location they were registered
+  // in a module (if the realm records registrations, see createAngular) or called
+  // from. The caller is found by injector function names in the V8 stack format,
+  // so it's unreliable in minified code and other browsers.
+  instanceInjector.getDiAuditReport = () => Array.from(auditReport.values())
+
+  injectorInternals.set(instanceInjector, { providerInjector, isModuleLoaded })
+
+  loadModules(modulesToLoad)
+
+  return instanceInjector
 }
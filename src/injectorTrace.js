@@ -0,0 +1,76 @@
+import { forEach } from 'lodash'
+
+import { getTokenName, now } from './helpers'
+
+// Records instantiations made by the injector: the token, the chain of tokens
+// which triggered it and the duration including dependencies instantiation.
+// Optional hook is called with every finished entry.
+export class InjectorTrace {
+  constructor(hook) {
+    this.hook = typeof hook === 'function' ? hook : null
+    this.entries = [] // entries in start order, so dependencies follow dependents
+  }
+
+  // Starts the entry and returns function to finish it. Unfinished entries
+  // (failed instantiations) are removed from the trace.
+  start(type, token, path) {
+    const entry = {
+      token: getTokenName(token),
+      type,
+      path: path.map(getTokenName),
+      start: now(),
+      duration: null,
+    }
+    this.entries.push(entry)
+
+    return (succeeded) => {
+      if (!succeeded) {
+        this.entries.splice(this.entries.indexOf(entry), 1)
+        return
+      }
+      entry.duration = now() - entry.start
+      if (this.hook) {
+        this.hook(entry)
+      }
+    }
+  }
+
+  // Wraps synchronous instantiation
+  trace(type, token, path, createFn) {
+    const finish = this.start(type, token, path)
+    let succeeded = false
+    try {
+      const result = createFn()
+      succeeded = true
+      return result
+    } finally {
+      finish(succeeded)
+    }
+  }
+
+  toArray() {
+    return this.entries
+      .filter((entry) => entry.duration !== null)
+      .map((entry) => ({ ...entry, path: [...entry.path] }))
+  }
+
+  // Returns trace in Chrome trace-event format (chrome://tracing, Perfetto).
+  // Timestamps and durations are in microseconds.
+  toChromeTrace() {
+    const traceEvents = []
+    forEach(this.toArray(), ({ token, type, path, start, duration }) => {
+      traceEvents.push({
+        name: token,
+        cat: 'injector,' + type,
+        ph: 'X', // complete event
+        ts: start * 1000,
+        dur: duration * 1000,
+        pid: 1,
+        // Async instantiations overlap each other, so they are shown separately
+        tid: type === 'async' ? 2 : 1,
+        args: { path },
+      })
+    })
+    return { traceEvents, displayTimeUnit: 'ms' }
+  }
+}
@@ -1,42 +1,145 @@
-export function setupModuleLoader(window) {
-  const ensure = (obj, name, factory) => obj[name] || (obj[name] = factory())
+import { forEach, isFunction, isObject, noop } from 'lodash'
 
-  const angular = ensure(window, 'angular', Object)
+import { minErr, getStackFrames } from './helpers'
+
+const $injectorMinErr = minErr('$injector')
+const ngMinErr = minErr('ng')
+
+// Errors created when functions are registered in modules, their stacks point
+// to the registration site. Stack is formatted only when it's requested.
+// Recording is enabled by the recordRegistrations realm option only, as
+// capturing stacks slows down the registration.
+const registrations = new WeakMap()
 
-  const createModule = (name, requires, modules) => {
-    if (name === 'hasOwnProperty') {
-      throw '"hasOwnProperty" is not a valid module name'
+const recordRegistration = (args) => {
+  const error = new Error()
+  forEach(args, (arg) => {
+    if (isFunction(arg)) {
+      registrations.set(arg, error)
+    } else if (isObject(arg) && isFunction(arg.$get)) {
+      registrations.set(arg.$get, error) // provider object
     }
+  })
+}
+
+// Returns stack of the call which registered the function in a module, or null
+// if the function hasn't been registered with module methods of a realm
+// recording registrations
+export const getRegistrationStack = (fn) => {
+  const error = registrations.get(fn)
+  // recordRegistration and module method frames are skipped
+  return error ? getStackFrames(error).slice(2) : null
+}
+
+const createModule = (name, requires, modules, record) => {
+  if (name === 'hasOwnProperty') {
+    throw ngMinErr('badname', '"hasOwnProperty" is not a valid module name')
+  }
+
+  const invokeQueue = []
+  const configBlocks = []
+  const runBlocks = []
+  let moduleInfo = {}
 
-    const invokeQueue = []
-    const moduleInstance = {
-      name,
-      requires,
-      constant: function (key, value) {
-        invokeQueue.push(['constant', [key, value]])
-      },
-      _invokeQueue: invokeQueue,
+  // Queues injector service method call to be run when module is loaded.
+  // Constants are put to the beginning of the queue to be available for any other recipe.
+  const invokeLater =
+    (service, method, arrayMethod = 'push', queue = invokeQueue) =>
+    (...args) => {
+      record(args)
+      queue[arrayMethod]([service, method, args])
+      return moduleInstance
     }
-    modules[name] = moduleInstance
-    return moduleInstance
+
+  const moduleInstance = {
+    name,
+    requires,
+    constant: invokeLater('$provide', 'constant', 'unshift'),
+    provider: invokeLater('$provide', 'provider'),
+    factory: invokeLater('$provide', 'factory'),
+    value: invokeLater('$provide', 'value'),
+    service: invokeLater('$provide', 'service'),
+    multi: invokeLater('$provide', 'multi'),
+    // Decorators are applied along with config blocks when all recipes of module are registered
+    decorator: invokeLater('$provide', 'decorator', 'push', configBlocks),
+    // Config blocks are invoked with provider injector when module is loaded
+    config: invokeLater('$injector', 'invoke', 'push', configBlocks),
+    // Run blocks are invoked with instance injector when all modules are loaded
+    run: (fn) => {
+      record([fn])
+      runBlocks.push(fn)
+      return moduleInstance
+    },
+    // Sets module metadata (version, owner etc.) or returns it when called
+    // without arguments. Metadata is available via injector.modules for diagnostics.
+    info: (info) => {
+      if (info === undefined) return moduleInfo
+      moduleInfo = info
+      return moduleInstance
+    },
+    _invokeQueue: invokeQueue,
+    _configBlocks: configBlocks,
+    _runBlocks: runBlocks,
   }
+  modules[name] = moduleInstance
+  return moduleInstance
+}
 
-  const getModule = (name, modules) => {
-    if (modules.hasOwnProperty(name)) {
-      return modules[name]
+const getModule = (name, modules) => {
+  if (modules.hasOwnProperty(name)) {
+    return modules[name]
+  } else {
+    throw $injectorMinErr('nomod', `Module ${name} is not available`, {
+      module: name,
+    })
+  }
+}
+
+// Registering module with the name of existing one replaces it, which is
+// usually a mistake (e.g. two bundles defining the same module)
+const checkRedefinition = (name, modules, redefinition) => {
+  if (!modules.hasOwnProperty(name) || redefinition === 'ignore') return
+
+  const message = `Module ${name} is already defined and will be replaced`
+  if (redefinition === 'throw') {
+    throw $injectorMinErr('modredef', message, { module: name })
+  }
+  console.warn(message)
+}
+
+// Returns module function working on its own registry of modules.
+// Options:
+// - redefinition: 'warn' (default), 'throw' or 'ignore' when module is redefined
+// - recordRegistrations: true to record registration sites of functions, they
+//   are reported by injectors in strict DI audit mode
+const createModuleFunction = ({
+  redefinition = 'warn',
+  recordRegistrations = false,
+} = {}) => {
+  const modules = {}
+  const record = recordRegistrations ? recordRegistration : noop
+  return (name, requires) => {
+    if (requires) {
+      checkRedefinition(name, modules, redefinition)
+      return createModule(name, requires, modules, record)
     } else {
-      throw 'Module' + name + 'is not available'
+      return getModule(name, modules)
     }
   }
+}
 
-  ensure(angular, 'module', () => {
-    const modules = {}
-    return (name, requires) => {
-      if (requires) {
-        return createModule(name, requires, modules)
-      } else {
-        return getModule(name, modules)
-      }
-    }
-  })
+// Creates independent angular realm with its own module registry. Realm can be
+// passed to createInjector as a registry, so several apps (or parallel tests)
+// don't share modules. Works without the window global.
+export const createAngular = (options) => ({
+  module: createModuleFunction(options),
+})
+
+// Exposes global angular realm on the window, options are the same as for
+// createAngular and are applied only when the realm is created
+export function setupModuleLoader(window, options) {
+  const ensure = (obj, name, factory) => obj[name] || (obj[name] = factory())
+
+  const angular = ensure(window, 'angular', Object)
+  ensure(angular, 'module', () => createModuleFunction(options))
 }
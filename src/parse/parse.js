@@ -20,11 +20,13 @@ export const parse = (expr) => {
       const ast = new AST(lexer)
       const astCompiler = new ASTCompiler(ast)
 
+      const expression = expr
       const oneTime = expr.startsWith('::')
       if (oneTime) expr = expr.substring(2)
 
       const parseFn = astCompiler.compile(expr)
       parseFn.$$watchDelegate = getWatchDelegate(parseFn, oneTime)
+      parseFn.$$expression = expression // Source text, shown in digest errors
       return parseFn
 
     case 'function':
@@ -36,6 +38,10 @@ export const parse = (expr) => {
   }
 }
 
+// Passes expression text to the watch function created by delegate
+const withExpression = (fn, { $$expression }) =>
+  Object.assign(fn, { $$expression })
+
 function getWatchDelegate({ constant, literal, inputs }, oneTime) {
   if (constant) return constantWatchDelegate
   if (oneTime)
@@ -45,7 +51,7 @@ function getWatchDelegate({ constant, literal, inputs }, oneTime) {
 
 function constantWatchDelegate(scope, listenerFn, valueEq, watchFn) {
   const unwatch = scope.$watch(
-    () => watchFn(scope),
+    withExpression(() => watchFn(scope), watchFn),
     (newValue, oldValue, scope) => {
       if (isFunction(listenerFn)) {
         listenerFn(newValue, oldValue, scope)
@@ -62,7 +68,7 @@ function oneTimeWatchDelegate(scope, listenerFn, valueEq, watchFn) {
   let lastValue
 
   const unwatch = scope.$watch(
-    () => watchFn(scope),
+    withExpression(() => watchFn(scope), watchFn),
     (newValue, oldValue, scope) => {
       lastValue = newValue
       if (isFunction(listenerFn)) {
@@ -92,7 +98,7 @@ function oneTimeLiteralWatchDelegate(scope, listenerFn, valueEq, watchFn) {
   const isAllDefined = (val) => !some(val, isUndefined)
 
   const unwatch = scope.$watch(
-    () => watchFn(scope),
+    withExpression(() => watchFn(scope), watchFn),
     (newValue, oldValue, scope) => {
       if (isFunction(listenerFn)) {
         listenerFn(newValue, oldValue, scope)
@@ -121,7 +127,7 @@ function inputsWatchDelegate(scope, listenerFn, valueEq, watchFn) {
   let lastResult
 
   return scope.$watch(
-    function () {
+    withExpression(function () {
       let changed = false
       inputsExpressions.forEach((inputExpr, i) => {
         const newValue = inputExpr(scope)
@@ -135,7 +141,7 @@ function inputsWatchDelegate(scope, listenerFn, valueEq, watchFn) {
         lastResult = watchFn(scope)
       }
       return lastResult
-    },
+    }, watchFn),
     listenerFn,
     valueEq,
   )
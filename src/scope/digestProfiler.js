@@ -0,0 +1,80 @@
+import { orderBy } from 'lodash'
+
+import { now } from '../helpers'
+
+// Number of the last digest cycles kept by the profiler
+const MAX_DIGESTS = 100
+
+// Collects per-watcher timing of the digest. Watchers are grouped by scope
+// and expression text, so watchers of the same expression on the same scope
+// are counted together. Times are in milliseconds.
+export class DigestProfiler {
+  constructor() {
+    this.reset()
+  }
+
+  reset() {
+    this.watchers = new Map() // scope => (expression => stats)
+    this.digests = [] // { duration, iterations } of the last digest cycles
+  }
+
+  $$getStats(scope, expression) {
+    let scopeStats = this.watchers.get(scope)
+    if (!scopeStats) {
+      scopeStats = new Map()
+      this.watchers.set(scope, scopeStats)
+    }
+    let stats = scopeStats.get(expression)
+    if (!stats) {
+      stats = {
+        expression,
+        scope,
+        calls: 0,
+        dirtyCount: 0,
+        watchTime: 0,
+        listenerTime: 0,
+      }
+      scopeStats.set(expression, stats)
+    }
+    return stats
+  }
+
+  recordWatch(scope, expression, time) {
+    const stats = this.$$getStats(scope, expression)
+    stats.calls++
+    stats.watchTime += time
+  }
+
+  recordListener(scope, expression, time) {
+    const stats = this.$$getStats(scope, expression)
+    stats.dirtyCount++
+    stats.listenerTime += time
+  }
+
+  recordDigest(duration, iterations) {
+    this.digests.push({ duration, iterations })
+    if (this.digests.length > MAX_DIGESTS) {
+      this.digests.shift()
+    }
+  }
+
+  // Returns n slowest watchers sorted by totalTime (watch and listener time),
+  // watchTime, listenerTime, calls or dirtyCount
+  getTopWatchers(n = 10, sortBy = 'totalTime') {
+    const stats = []
+    this.watchers.forEach((scopeStats) => {
+      scopeStats.forEach((entry) => {
+        stats.push({
+          ...entry,
+          totalTime: entry.watchTime + entry.listenerTime,
+        })
+      })
+    })
+    return orderBy(stats, [sortBy], ['desc']).slice(0, n)
+  }
+
+  // Returns duration and number of iterations of the last digest cycles
+  getDigests() {
+    return this.digests.map((digest) => ({ ...digest }))
+  }
+}
@@ -1 +1,2 @@
 export { Scope } from './scope'
+export { $RootScopeProvider } from './rootScopeProvider'
@@ -0,0 +1,36 @@
+import { Scope, DEFAULT_DIGEST_TTL } from './scope'
+import { minErr } from '../helpers'
+
+const $rootScopeMinErr = minErr('$rootScope')
+
+// Provider of the $rootScope service. Digest TTL can be configured in config
+// blocks: $rootScopeProvider.digestTtl(20)
+export function $RootScopeProvider() {
+  let TTL = DEFAULT_DIGEST_TTL
+
+  // Sets digest iterations limit if the value is given, returns current limit
+  this.digestTtl = (value) => {
+    if (value !== undefined) {
+      // Digest with zero or fractional limit would never reach it and hang
+      if (!Number.isInteger(value) || value <= 0) {
+        throw $rootScopeMinErr(
+          'badttl',
+          `Digest TTL must be a positive integer, got ${value}`,
+          { ttl: value },
+        )
+      }
+      TTL = value
+    }
+    return TTL
+  }
+
+  this.$get = [
+    '$exceptionHandler',
+    ($exceptionHandler) => {
+      const $rootScope = new Scope()
+      $rootScope.$$ttl = TTL
+      $rootScope.$$exceptionHandler = $exceptionHandler
+      return $rootScope
+    },
+  ]
+}
@@ -6,15 +6,64 @@ import {
   forOwn,
   clone,
   cloneDeep,
+  noop,
+  remove,
 } from 'lodash'
 
 import { parse } from '../parse'
-import { simpleCompare } from '../helpers'
+import { simpleCompare, minErr, now } from '../helpers'
+import { defaultExceptionHandler } from '../exceptionHandler'
+import { DigestProfiler } from './digestProfiler'
 
 // Symbol is a reference value, as it equals only to itself.
 // It is set as an initial watch value to distinct it from undefined
 const INIT_WATCH_VALUE = Symbol('initial watch value')
 
+// Maximum number of digest loop iterations before giving up
+export const DEFAULT_DIGEST_TTL = 10
+
+// Number of the last digest iterations which dirty watchers are logged for infdig error
+const LOGGED_ITERATIONS = 5
+
+const $rootScopeMinErr = minErr('$rootScope')
+
+// Returns text of the watch expression: the source of parsed expression or function.
+// Watch expression can be omitted, parse returns noop for it.
+const getExpressionText = (exp) => {
+  if (exp === undefined || exp === null) return '<no expression>'
+  return typeof exp === 'string' ? exp : exp.$$expression || exp.toString()
+}
+
+// Expression text of the watcher is computed once as function source can be long
+const getWatcherExpression = (watcher) =>
+  watcher.expression || (watcher.expression = getExpressionText(watcher.exp))
+
+const toJson = (value) => {
+  try {
+    const json = JSON.stringify(value)
+    return json === undefined ? String(value) : json
+  } catch (err) {
+    return String(value) // Circular structures
+  }
+}
+
+// Formats watchers fired in the last iterations for the infdig error message
+const formatWatchLog = (watchLog, ttl) =>
+  watchLog
+    .map(
+      (iteration, i) =>
+        `  ${ttl - watchLog.length + i + 1}: ` +
+        (iteration
+          .map(
+            ({ expression, newValue, oldValue }) =>
+              `${expression}; newVal: ${toJson(newValue)}; oldVal: ${toJson(
+                oldValue,
+              )}`,
+          )
+          .join(' | ') || 'no dirty watchers'),
+    )
+    .join('\n')
+
 export class Scope {
   constructor() {
     this.$root = this // Makes root scope available to every child scope
@@ -27,6 +76,10 @@ export class Scope {
     this.$$postDigestQueue = []
     this.$$listeners = {}
     this.$$phase = null // "$digest" | "$apply" | null
+    this.$$ttl = DEFAULT_DIGEST_TTL // Digest iterations limit, read from the $root
+    this.$$exceptionHandler = defaultExceptionHandler // $exceptionHandler for $rootScope, read from the $root
+    this.$$profiler = null // Digest profiler, enabled with $startProfiling ($root only)
+    this.$$destroyed = false // Destroyed scope ignores new watchers, listeners and tasks
   }
 
   // $watch function attaches watcher to the scope
@@ -35,6 +88,8 @@ export class Scope {
   // valueEq — should we use shallow equality check instead of reference check
   $watch(watchFn, listenerFn = () => {
   }, valueEq = false) {
+    if (this.$$destroyed) return noop
+
     const parsedWatchFn = parse(watchFn)
 
     if (parsedWatchFn.$$watchDelegate) {
@@ -48,6 +103,7 @@ export class Scope {
     }
 
     const watcher = {
+      exp: watchFn, // Original expression, used in infinite digest error
       watchFn: parsedWatchFn,
       listenerFn,
       valueEq,
@@ -86,6 +142,12 @@ export class Scope {
     )
   }
 
+  // Passes errors of watchers, listeners and queued tasks to the exception handler.
+  // Cause is the phase the error happened in: "watch", "listener", "$evalAsync" etc.
+  $$handleException(err, cause) {
+    this.$root.$$exceptionHandler(err, cause)
+  }
+
   // Recursively calls the fn function for every scope in the hierarchy until it returns false.
   $$everyScope(fn) {
     return fn(this)
@@ -93,36 +155,63 @@ export class Scope {
       : false
   }
 
-  $$digestOnce() {
+  // Dirty watchers are pushed to the iterationLog array if it is given
+  $$digestOnce(iterationLog) {
     let dirtyFlag = false
     let continueLoop = true
+    const profiler = this.$root.$$profiler
 
     this.$$everyScope((scope) => {
       // Reverse order allows to have watchers removed during the digest cycle without skipping
       forEachRight(scope.$$watchers, (watcher) => {
+        // Watcher could be removed by other watcher
+        if (!watcher) return
+
+        let newValue
+        const watchStart = profiler && now()
         try {
-          if (watcher) {
-            // Watcher could be removed by other watcher
-            const newValue = watcher.watchFn(scope)
-            const oldValue = watcher.last
-            if (!Scope.$$areEqual(newValue, oldValue, watcher.valueEq)) {
-              scope.$root.$$lastDirtyWatch = watcher
-              // We're preventing leakage of the initWatchVal out of scope
-              // and sending newValue as on oldValue for the first digest
-              const oldValueToPass =
-                oldValue === INIT_WATCH_VALUE ? newValue : oldValue
-              watcher.listenerFn(newValue, oldValueToPass, scope)
-              watcher.last = watcher.valueEq ? cloneDeep(newValue) : newValue
-              dirtyFlag = true
-            } else if (watcher === this.$root.$$lastDirtyWatch) {
-              continueLoop = false
-              // No need to run remaining watchers as we've just run last dirty of them.
-              // Returning 'false' value stops forEach cycle.
-              return false
+          newValue = watcher.watchFn(scope)
+        } catch (err) {
+          scope.$$handleException(err, 'watch')
+          return
+        } finally {
+          if (profiler) {
+            const expression = getWatcherExpression(watcher)
+            profiler.recordWatch(scope, expression, now() - watchStart)
+          }
+        }
+        const oldValue = watcher.last
+        if (!Scope.$$areEqual(newValue, oldValue, watcher.valueEq)) {
+          scope.$root.$$lastDirtyWatch = watcher
+          // We're preventing leakage of the initWatchVal out of scope
+          // and sending newValue as on oldValue for the first digest
+          const oldValueToPass =
+            oldValue === INIT_WATCH_VALUE ? newValue : oldValue
+          const listenerStart = profiler && now()
+          try {
+            watcher.listenerFn(newValue, oldValueToPass, scope)
+          } catch (err) {
+            scope.$$handleException(err, 'listener')
+          } finally {
+            if (profiler) {
+              const expression = getWatcherExpression(watcher)
+              profiler.recordListener(scope, expression, now() - listenerStart)
             }
           }
-        } catch (err) {
-          console.error(err)
+          if (iterationLog) {
+            iterationLog.push({
+              expression: getWatcherExpression(watcher),
+              newValue,
+              oldValue: oldValue === INIT_WATCH_VALUE ? undefined : oldValue,
+            })
+          }
+          watcher.last = watcher.valueEq ? cloneDeep(newValue) : newValue
+          dirtyFlag = true
+        } else if (watcher === this.$root.$$lastDirtyWatch) {
+          continueLoop = false
+          // No need to run remaining watchers as we've just run last dirty of them.
+          // Returning 'false' value stops forEach cycle.
+          return false
         }
       })
       return continueLoop
@@ -133,43 +222,76 @@ export class Scope {
   // Starts digest cycle
   $digest() {
     let dirtyFlag
-    let TTL = 10
+    let TTL = this.$root.$$ttl
+    const watchLog = [] // Dirty watchers of the last iterations, for each iteration
     this.$root.$$lastDirtyWatch = null
     this.$beginPhase('$digest')
+    const profiler = this.$root.$$profiler
+    const digestStart = profiler && now()
 
-    // Immediately flush applyAsync queue
-    if (this.$root.$$applyAsyncId) {
-      clearTimeout(this.$root.$$applyAsyncId)
-      this.$$flushApplyAsync()
-    }
+    // Phase is cleared even if exception handler rethrows
+    try {
+      // Immediately flush applyAsync queue
+      if (this.$root.$$applyAsyncId) {
+        clearTimeout(this.$root.$$applyAsyncId)
+        this.$$flushApplyAsync()
+      }
 
-    do {
-      while (this.$$asyncQueue.length) {
-        try {
+      do {
+        while (this.$$asyncQueue.length) {
           const asyncTask = this.$$asyncQueue.shift()
-          asyncTask.scope.$eval(asyncTask.expression)
-        } catch (err) {
-          console.error(err)
+          try {
+            asyncTask.scope.$eval(asyncTask.expression)
+          } catch (err) {
+            this.$$handleException(err, '$evalAsync')
+          }
         }
+        const iterationLog = TTL <= LOGGED_ITERATIONS ? [] : null
+        dirtyFlag = this.$$digestOnce(iterationLog)
+        if (iterationLog) watchLog.push(iterationLog)
+        TTL -= 1
+        if ((dirtyFlag || this.$$asyncQueue.length) && TTL <= 0) {
+          throw $rootScopeMinErr(
+            'infdig',
+            `Maximum $watch TTL exceeded: ${this.$root.$$ttl} $digest() iterations reached. ` +
+              `Watchers fired in the last ${watchLog.length} iterations:\n` +
+              formatWatchLog(watchLog, this.$root.$$ttl),
+            { watchLog },
+          )
+        }
+      } while (dirtyFlag || this.$$asyncQueue.length)
+    } finally {
+      this.$clearPhase()
+      if (profiler) {
+        profiler.recordDigest(now() - digestStart, this.$root.$$ttl - TTL)
       }
-      dirtyFlag = this.$$digestOnce()
-      TTL -= 1
-      if ((dirtyFlag || this.$$asyncQueue.length) && TTL === 0) {
-        this.$clearPhase()
-        throw new Error('Maximum $watch TTL exceeded')
-      }
-    } while (dirtyFlag || this.$$asyncQueue.length)
-    this.$clearPhase()
+    }
 
     while (this.$$postDigestQueue.length) {
       try {
         this.$$postDigestQueue.shift()()
       } catch (err) {
-        console.error(err)
+        this.$$handleException(err, '$$postDigest')
       }
     }
   }
 
+  // Starts collecting digest timing for the whole scope hierarchy. Returns
+  // the profiler with getTopWatchers(n) and getDigests() methods.
+  $startProfiling() {
+    if (!this.$root.$$profiler) {
+      this.$root.$$profiler = new DigestProfiler()
+    }
+    return this.$root.$$profiler
+  }
+
+  // Stops profiling and returns the profiler to read the collected data
+  $stopProfiling() {
+    const profiler = this.$root.$$profiler
+    this.$root.$$profiler = null
+    return profiler
+  }
+
   // Executes the code in context of scope
   $eval(expr, locals) {
     const parsedExpr = parse(expr)
@@ -179,6 +301,8 @@ export class Scope {
   // Executes the function in context of scope and starts digest.
   // Used for library integrations. Digest starts from the root scope recursively.
   $apply(expr) {
+    if (this.$$destroyed) return
+
     try {
       this.$beginPhase('$apply')
       return this.$eval(expr)
@@ -191,6 +315,8 @@ export class Scope {
   // Deferred execution of the function but guaranteed during the current digest cycle.
   // If there is no digest, the one is started. Digest starts from the root scope recursively.
   $evalAsync(expr) {
+    if (this.$$destroyed) return
+
     if (!this.$$phase && !this.$$asyncQueue.length) {
       setTimeout(() => {
         if (this.$$asyncQueue.length) {
@@ -205,12 +331,18 @@ export class Scope {
   // Optimizes quick succession of events running all of them in one digest, should be used
   // instead of several applies in a row.
   $applyAsync(expr) {
+    if (this.$$destroyed) return
+
     this.$$applyAsyncQueue.push(() => {
-      this.$eval(expr)
+      // Task is dropped if the scope is destroyed before the queue is flushed
+      if (!this.$$destroyed) {
+        this.$eval(expr)
+      }
     })
     if (this.$root.$$applyAsyncId === null) {
+      // Applied to the root as this scope can be destroyed till then
       this.$root.$$applyAsyncId = setTimeout(() => {
-        this.$apply(this.$$flushApplyAsync.bind(this))
+        this.$root.$apply(this.$$flushApplyAsync.bind(this))
       }, 0)
     }
   }
@@ -220,7 +352,7 @@ export class Scope {
       try {
         this.$$applyAsyncQueue.shift()()
       } catch (err) {
-        console.error(err)
+        this.$$handleException(err, '$applyAsync')
       }
     }
     this.$root.$$applyAsyncId = null
@@ -376,6 +508,8 @@ export class Scope {
       }
     }
 
+    // Original expression is shown in infinite digest error
+    internalWatchFn.$$expression = getExpressionText(watchFn)
     return this.$watch(internalWatchFn, internalListenerFn)
   }
 
@@ -407,20 +541,33 @@ export class Scope {
     return child
   }
 
+  // Destroys the scope with all its children: they are removed from the hierarchy,
+  // their watchers and listeners are dropped as well as their pending $evalAsync tasks.
+  // Destroyed scopes are marked with $$destroyed flag and can't be used anymore.
   $destroy() {
-    if (this === this.$root) return // Don't destroy root scope
+    if (this === this.$root || this.$$destroyed) return // Don't destroy root scope
     const siblings = this.$parent.$$children
     const indexOfThis = siblings.indexOf(this)
     if (indexOfThis >= 0) {
       this.$broadcast('$destroy')
       siblings.splice(indexOfThis, 1)
     }
-    this.$$watchers = null
-    this.$$listeners = {}
+
+    this.$$everyScope((scope) => {
+      scope.$$destroyed = true
+      scope.$$watchers.length = 0 // In place, so they don't run if destroyed during digest
+      scope.$$listeners = {}
+      return true
+    })
+    // Queue is shared by all the scopes, so it's filtered in place
+    remove(this.$$asyncQueue, (asyncTask) => asyncTask.scope.$$destroyed)
+    this.$root.$$lastDirtyWatch = null
   }
 
   // Fills the map of event handlers for the current scope.
   $on(eventName, listener) {
+    if (this.$$destroyed) return noop
+
     if (this.$$listeners[eventName]) {
       this.$$listeners[eventName].push(listener)
     } else {
@@ -428,11 +575,12 @@ export class Scope {
     }
     // Returns the destroyer function
     return () => {
-      const index = this.$$listeners[eventName].indexOf(listener)
+      const listeners = this.$$listeners[eventName] || [] // Dropped on $destroy
+      const index = listeners.indexOf(listener)
       // Mark listener as null in case one of the listeners removes another one.
       // Array splicing will be done in fireEventOnScope function.
       if (index >= 0) {
-        this.$$listeners[eventName][index] = null
+        listeners[index] = null
       }
     }
   }
@@ -491,7 +639,7 @@ export class Scope {
         try {
           listeners[i](event, ...rest)
         } catch (err) {
-          console.error(err)
+          this.$$handleException(err, eventName)
         }
         i++
       }
@@ -0,0 +1,143 @@
+import { forEach } from 'lodash'
+
+import { publishExternalAPI } from '../src/angularPublic'
+import { createAngular } from '../src/loader'
+import { createInjector } from '../src/injector'
+import { Scope } from '../src/scope'
+
+describe('angularPublic', () => {
+  beforeEach(() => {
+    delete window.angular
+  })
+
+  it('sets up the angular object and the module loader', () => {
+    publishExternalAPI()
+    expect(window.angular).toBeDefined()
+    expect(window.angular.module).toBeDefined()
+  })
+  it('sets up the ng module', () => {
+    publishExternalAPI()
+    expect(createInjector(['ng'])).toBeDefined()
+  })
+  it('sets up the ng module in the given realm', () => {
+    const angular = publishExternalAPI(createAngular())
+    expect(angular.module('ng')).toBeDefined()
+    expect(window.angular).toBeUndefined()
+  })
+
+  describe('$rootScope', () => {
+    beforeEach(() => {
+      publishExternalAPI()
+    })
+
+    it('sets up the $rootScope', () => {
+      const injector = createInjector(['ng'])
+      expect(injector.has('$rootScope')).toBe(true)
+      expect(injector.get('$rootScope') instanceof Scope).toBe(true)
+    })
+    it('makes $rootScope available to services and run blocks', () => {
+      let runScope
+      window.angular
+        .module('myModule', ['ng'])
+        .factory('a', ['$rootScope', ($rootScope) => $rootScope])
+        .run([
+          '$rootScope',
+          ($rootScope) => {
+            runScope = $rootScope
+          },
+        ])
+      const injector = createInjector(['myModule'])
+      expect(injector.get('a')).toBe(injector.get('$rootScope'))
+      expect(runScope).toBe(injector.get('$rootScope'))
+    })
+    it('has default digest TTL of 10', () => {
+      const injector = createInjector([
+        'ng',
+        [
+          '$rootScopeProvider',
+          ($rootScopeProvider) => {
+            expect($rootScopeProvider.digestTtl()).toBe(10)
+          },
+        ],
+      ])
+      const $rootScope = injector.get('$rootScope')
+      let counter = 0
+      $rootScope.$watch(() => counter++)
+      expect(() => $rootScope.$digest()).toThrow()
+      expect(counter).toBe(10)
+    })
+    it('allows configuring digest TTL', () => {
+      window.angular.module('myModule', ['ng']).config([
+        '$rootScopeProvider',
+        ($rootScopeProvider) => {
+          $rootScopeProvider.digestTtl(5)
+        },
+      ])
+      const $rootScope = createInjector(['myModule']).get('$rootScope')
+      let counter = 0
+      $rootScope.$watch(() => counter++)
+      expect(() => $rootScope.$digest()).toThrow()
+      expect(counter).toBe(5)
+    })
+    it('does not allow non-positive or fractional digest TTL', () => {
+      window.angular.module('myModule', ['ng']).config([
+        '$rootScopeProvider',
+        ($rootScopeProvider) => {
+          forEach([0, -1, 2.5, NaN, '5'], (value) => {
+            expect(() => $rootScopeProvider.digestTtl(value)).toThrowError(
+              /\$rootScope:badttl/,
+            )
+          })
+          expect($rootScopeProvider.digestTtl()).toBe(10)
+        },
+      ])
+      createInjector(['myModule'])
+    })
+    it('applies digest TTL to the child scopes digest', () => {
+      window.angular.module('myModule', ['ng']).config([
+        '$rootScopeProvider',
+        ($rootScopeProvider) => {
+          $rootScopeProvider.digestTtl(3)
+        },
+      ])
+      const $rootScope = createInjector(['myModule']).get('$rootScope')
+      const child = $rootScope.$new()
+      const isolated = $rootScope.$new(true)
+      let counter = 0
+      child.$watch(() => counter++)
+      expect(() => child.$digest()).toThrow()
+      expect(counter).toBe(3)
+      isolated.$watch(() => counter++)
+      counter = 0
+      expect(() => isolated.$digest()).toThrow()
+      expect(counter).toBe(3)
+    })
+  })
+
+  describe('$exceptionHandler', () => {
+    beforeEach(() => {
+      publishExternalAPI()
+    })
+
+    it('logs errors to console by default', () => {
+      spyOn(console, 'error')
+      const $exceptionHandler = createInjector(['ng']).get('$exceptionHandler')
+      $exceptionHandler('error', 'watch')
+      expect(console.error).toHaveBeenCalledWith('error')
+    })
+    it('receives digest errors of $rootScope', () => {
+      const errors = []
+      window.angular
+        .module('myModule', ['ng'])
+        .factory('$exceptionHandler', () => (err, cause) => {
+          errors.push([err, cause])
+        })
+      const $rootScope = createInjector(['myModule']).get('$rootScope')
+      $rootScope.$new().$watch(() => {
+        throw 'error'
+      })
+      $rootScope.$digest()
+      expect(errors).toEqual([['error', 'watch']])
+    })
+  })
+})
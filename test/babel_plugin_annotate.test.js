@@ -0,0 +1,256 @@
+import { transformSync } from '@babel/core'
+
+import annotatePlugin from '../tools/babel-plugin-annotate'
+
+const options = {
+  babelrc: false,
+  configFile: false,
+  comments: false,
+  generatorOpts: { jsescOption: { quotes: 'single' } },
+}
+
+const transform = (code) =>
+  transformSync(code, { ...options, plugins: [annotatePlugin] }).code
+
+// Allows to compare code ignoring formatting differences
+const normalize = (code) => transformSync(code, options).code
+
+describe('babel annotate plugin', () => {
+  it('annotates functions registered in module chain', () => {
+    expect(
+      transform(`
+        angular.module('app', [])
+          .factory('a', function (b, c) {})
+          .service('d', (e) => e)
+          .config(($provide) => {})
+          .run(function (a) {})
+      `),
+    ).toEqual(
+      normalize(`
+        angular.module('app', [])
+          .factory('a', ['b', 'c', function (b, c) {}])
+          .service('d', ['e', (e) => e])
+          .config(['$provide', ($provide) => {}])
+          .run(['a', function (a) {}])
+      `),
+    )
+  })
+
+  it('annotates functions registered on module variable', () => {
+    expect(
+      transform(`
+        const module = window.angular.module('app', [])
+        module.decorator('a', ($delegate) => $delegate)
+        module.multi('b', (c) => c)
+      `),
+    ).toEqual(
+      normalize(`
+        const module = window.angular.module('app', [])
+        module.decorator('a', ['$delegate', ($delegate) => $delegate])
+        module.multi('b', ['c', (c) => c])
+      `),
+    )
+  })
+
+  it('annotates functions chained after constant, value and info', () => {
+    expect(
+      transform(`
+        angular.module('app', [])
+          .constant('a', 1)
+          .factory('b', (a) => a + 1)
+          .value('c', 2)
+          .service('d', function (c) {})
+          .info({ version: 1 })
+          .run((d) => {})
+      `),
+    ).toEqual(
+      normalize(`
+        angular.module('app', [])
+          .constant('a', 1)
+          .factory('b', ['a', (a) => a + 1])
+          .value('c', 2)
+          .service('d', ['c', function (c) {}])
+          .info({ version: 1 })
+          .run(['d', (d) => {}])
+      `),
+    )
+  })
+
+  it('annotates $provide calls in config blocks', () => {
+    expect(
+      transform(`
+        const fn = function ($provide) {
+          $provide.factory('a', (b) => b)
+        }
+      `),
+    ).toEqual(
+      normalize(`
+        const fn = function ($provide) {
+          $provide.factory('a', ['b', (b) => b])
+        }
+      `),
+    )
+  })
+
+  it('does not touch unrelated calls', () => {
+    const code = normalize(`
+      const service = createService()
+      service.factory('a', (b) => b)
+      promise.then((result) => result)
+    `)
+    expect(transform(code)).toEqual(code)
+  })
+
+  it('does not touch already annotated and argumentless functions', () => {
+    const code = normalize(`
+      angular.module('app', [])
+        .factory('a', ['b', (b) => b])
+        .factory('c', () => 1)
+    `)
+    expect(transform(code)).toEqual(code)
+  })
+
+  it('strips surrounding underscores and default values', () => {
+    expect(
+      transform(`angular.module('app').factory('a', (_b_, c = 1) => c)`),
+    ).toEqual(
+      normalize(
+        `angular.module('app').factory('a', ['b', 'c', (_b_, c = 1) => c])`,
+      ),
+    )
+  })
+
+  it('skips functions with destructured params', () => {
+    const code = normalize(`angular.module('app').factory('a', ({ b }) => b)`)
+    expect(transform(code)).toEqual(code)
+  })
+
+  it('annotates class constructors', () => {
+    expect(
+      transform(`
+        angular.module('app').service('a', class {
+          constructor(b) {}
+        })
+      `),
+    ).toEqual(
+      normalize(`
+        angular.module('app').service('a', ['b', class {
+          constructor(b) {}
+        }])
+      `),
+    )
+  })
+
+  it('adds $inject to referenced function declarations', () => {
+    expect(
+      transform(`
+        function aFactory(b) {}
+        class C { constructor(d) {} }
+        angular.module('app').factory('a', aFactory).service('c', C)
+      `),
+    ).toEqual(
+      normalize(`
+        function aFactory(b) {}
+        aFactory.$inject = ['b']
+        class C { constructor(d) {} }
+        C.$inject = ['d']
+        angular.module('app').factory('a', aFactory).service('c', C)
+      `),
+    )
+  })
+
+  it('annotates referenced function expressions', () => {
+    expect(
+      transform(`
+        const aFactory = (b) => b
+        angular.module('app').factory('a', aFactory)
+      `),
+    ).toEqual(
+      normalize(`
+        const aFactory = (b) => b
+        aFactory.$inject = ['b']
+        angular.module('app').factory('a', aFactory)
+      `),
+    )
+  })
+
+  it('does not add $inject to manually annotated declarations', () => {
+    const code = normalize(`
+      Svc1.$inject = ['a']
+      function Svc1(b) {}
+      function Svc2(c) {}
+      Svc2.$inject = ['d']
+      angular.module('app').service('svc1', Svc1).service('svc2', Svc2)
+    `)
+    expect(transform(code)).toEqual(code)
+  })
+
+  it('keeps referenced classes assigned to variables intact', () => {
+    expect(
+      transform(`
+        export const Logger = class {
+          constructor($window) {}
+          log() {}
+        }
+        angular.module('app').service('logger', Logger)
+      `),
+    ).toEqual(
+      normalize(`
+        export const Logger = class {
+          constructor($window) {}
+          log() {}
+        }
+        Logger.$inject = ['$window']
+        angular.module('app').service('logger', Logger)
+      `),
+    )
+  })
+
+  it('annotates $get of provider objects and constructors', () => {
+    expect(
+      transform(`
+        angular.module('app')
+          .provider('a', { $get(b) {} })
+          .provider('c', function (dProvider) {
+            this.$get = function (e) {}
+          })
+      `),
+    ).toEqual(
+      normalize(`
+        angular.module('app')
+          .provider('a', { $get: ['b', function (b) {}] })
+          .provider('c', ['dProvider', function (dProvider) {
+            this.$get = ['e', function (e) {}]
+          }])
+      `),
+    )
+  })
+
+  it('adds $inject to declarations marked with @ngInject', () => {
+    expect(
+      transform(`
+        /* @ngInject */
+        function a(b) {}
+        /* @ngInject */
+        export class C { constructor(d) {} }
+      `),
+    ).toEqual(
+      normalize(`
+        /* @ngInject */
+        function a(b) {}
+        a.$inject = ['b']
+        /* @ngInject */
+        export class C { constructor(d) {} }
+        C.$inject = ['d']
+      `),
+    )
+  })
+
+  it('skips anonymous declarations marked with @ngInject', () => {
+    const code = `
+      /* @ngInject */
+      export default function (c) {}
+    `
+    expect(transform(code)).toEqual(normalize(code))
+  })
+})
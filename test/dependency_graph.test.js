@@ -0,0 +1,195 @@
+import { setupModuleLoader } from '../src/loader'
+import { createInjector } from '../src/injector'
+import { getModuleGraph, graphToDot } from '../src/dependencyGraph'
+
+describe('dependency graph', () => {
+  beforeEach(() => {
+    delete window.angular
+    setupModuleLoader(window)
+  })
+
+  describe('injector graph', () => {
+    it('lists loaded modules with their requirements', () => {
+      window.angular.module('myModule', ['myOtherModule'])
+      window.angular.module('myOtherModule', [])
+      const injector = createInjector(['myModule'])
+      expect(injector.getDependencyGraph().modules).toEqual([
+        { name: 'myOtherModule', requires: [] },
+        { name: 'myModule', requires: ['myOtherModule'] },
+      ])
+    })
+    it('lists tokens with their module, recipe and dependencies', () => {
+      window.angular
+        .module('myModule', [])
+        .constant('a', 1)
+        .value('b', 2)
+        .factory('c', (a, b) => a + b)
+        .service('d', function D(c) {})
+        .provider('e', { $get: (d) => d })
+      const injector = createInjector(['myModule'])
+      expect(injector.getDependencyGraph().tokens).toEqual([
+        {
+          name: 'a',
+          module: 'myModule',
+          recipe: 'constant',
+          dependencies: [],
+          used: true,
+        },
+        {
+          name: 'b',
+          module: 'myModule',
+          recipe: 'value',
+          dependencies: [],
+          used: true,
+        },
+        {
+          name: 'c',
+          module: 'myModule',
+          recipe: 'factory',
+          dependencies: ['a', 'b'],
+          used: true,
+        },
+        {
+          name: 'd',
+          module: 'myModule',
+          recipe: 'service',
+          dependencies: ['c'],
+          used: true,
+        },
+        {
+          name: 'e',
+          module: 'myModule',
+          recipe: 'provider',
+          dependencies: ['d'],
+          used: false,
+        },
+      ])
+    })
+    it('attributes tokens to the module registering them', () => {
+      window.angular.module('myModule', ['myOtherModule']).value('a', 1)
+      window.angular.module('myOtherModule', []).config(($provide) => {
+        $provide.value('b', 2)
+      })
+      const injector = createInjector(['myModule'])
+      const { tokens } = injector.getDependencyGraph()
+      expect(tokens.map(({ name, module }) => [name, module])).toEqual([
+        ['b', 'myOtherModule'],
+        ['a', 'myModule'],
+      ])
+    })
+    it('adds decorator dependencies to the decorated token', () => {
+      window.angular
+        .module('myModule', [])
+        .value('a', 1)
+        .factory('b', () => 2)
+        .decorator('b', ($delegate, a) => $delegate + a)
+      const injector = createInjector(['myModule'])
+      const [, b] = injector.getDependencyGraph().tokens
+      expect(b.dependencies).toEqual(['a'])
+    })
+    it('collects dependencies of all multi-binding contributions', () => {
+      window.angular
+        .module('myModule', [])
+        .value('a', 1)
+        .value('b', 2)
+        .multi('c', (a) => a)
+        .multi('c', (b) => b)
+      const injector = createInjector(['myModule'])
+      const [, , c] = injector.getDependencyGraph().tokens
+      expect(c.recipe).toBe('multi')
+      expect(c.dependencies).toEqual(['a', 'b'])
+    })
+    it('marks tokens requested from the injector as used', () => {
+      window.angular.module('myModule', []).value('a', 1).value('b', 2)
+      const injector = createInjector(['myModule'])
+      injector.get('a')
+      const [a, b] = injector.getDependencyGraph().tokens
+      expect(a.used).toBe(true)
+      expect(b.used).toBe(false)
+    })
+    it('marks run block dependencies as used', () => {
+      window.angular
+        .module('myModule', [])
+        .value('a', 1)
+        .run((a) => {})
+      const injector = createInjector(['myModule'])
+      expect(injector.getDependencyGraph().tokens[0].used).toBe(true)
+    })
+  })
+
+  describe('module graph', () => {
+    it('is built without instantiating services', () => {
+      const factoryFn = jasmine.createSpy('factoryFn')
+      window.angular
+        .module('myModule', ['myOtherModule'])
+        .factory('a', factoryFn)
+      window.angular.module('myOtherModule', []).value('b', 1)
+      const graph = getModuleGraph(['myModule'])
+      expect(factoryFn).not.toHaveBeenCalled()
+      expect(graph.modules.map(({ name }) => name)).toEqual([
+        'myModule',
+        'myOtherModule',
+      ])
+      expect(graph.tokens.map(({ name }) => name)).toEqual(['b', 'a'])
+    })
+    it('marks tokens nobody depends on as unused', () => {
+      window.angular
+        .module('myModule', [])
+        .value('a', 1)
+        .value('b', 2)
+        .factory('c', ['a', (a) => a])
+        .run(['c', (c) => {}])
+      const { tokens } = getModuleGraph(['myModule'])
+      expect(
+        tokens.filter(({ used }) => !used).map(({ name }) => name),
+      ).toEqual(['b'])
+    })
+    it('records optional dependencies without the prefix', () => {
+      window.angular
+        .module('myModule', [])
+        .value('b', 1)
+        .factory('a', ['?b', (b) => b])
+      const { tokens } = getModuleGraph(['myModule'])
+      expect(tokens).toEqual([
+        jasmine.objectContaining({ name: 'b', used: true }),
+        jasmine.objectContaining({ name: 'a', dependencies: ['b'] }),
+      ])
+    })
+    it('uses the given module registry', () => {
+      const angular = {
+        module: () => ({
+          requires: [],
+          _invokeQueue: [],
+          _configBlocks: [],
+          _runBlocks: [],
+        }),
+      }
+      expect(getModuleGraph(['myModule'], angular).modules).toEqual([
+        { name: 'myModule', requires: [] },
+      ])
+    })
+  })
+
+  describe('graphToDot', () => {
+    it('serializes the graph to Graphviz DOT format', () => {
+      window.angular
+        .module('myModule', [])
+        .value('a', 1)
+        .factory('b', (a) => a)
+      const dot = graphToDot(getModuleGraph(['myModule']))
+      expect(dot).toBe(
+        [
+          'digraph dependencies {',
+          '  rankdir=LR;',
+          '  subgraph cluster_0 {',
+          '    label="myModule";',
+          '    "a";',
+          '    "b" [style=dashed];',
+          '  }',
+          '  "b" -> "a";',
+          '}',
+        ].join('\n'),
+      )
+    })
+  })
+})
@@ -1,7 +1,7 @@
-import { constant } from 'lodash'
+import { constant, forEach } from 'lodash'
 
-import { setupModuleLoader } from '../src/loader'
-import { createInjector } from '../src/injector'
+import { setupModuleLoader, createAngular } from '../src/loader'
+import { createInjector, getProviderToken } from '../src/injector'
 
 describe('injector', () => {
   beforeEach(() => {
@@ -166,6 +166,84 @@ describe('injector', () => {
         'an_argument',
       ])
     })
+    describe('modern syntax', () => {
+      // Functions are created from source, otherwise they're transpiled to ES5
+      const fromSource = (source) => new Function('return ' + source)()
+
+      it('parses arguments of an arrow function', () => {
+        const injector = createInjector([])
+        const fn = fromSource('(a, b) => a + b')
+        expect(injector.annotate(fn)).toEqual(['a', 'b'])
+      })
+      it('parses the argument of a single-param arrow function', () => {
+        const injector = createInjector([])
+        const fn = fromSource('a => a')
+        expect(injector.annotate(fn)).toEqual(['a'])
+      })
+      it('parses arguments of async functions', () => {
+        const injector = createInjector([])
+        expect(
+          injector.annotate(fromSource('async function (a, b) {}')),
+        ).toEqual(['a', 'b'])
+        expect(injector.annotate(fromSource('async (a, b) => {}'))).toEqual([
+          'a',
+          'b',
+        ])
+        expect(injector.annotate(fromSource('async a => {}'))).toEqual(['a'])
+      })
+      it('parses arguments of a class constructor', () => {
+        const injector = createInjector([])
+        const Type = fromSource(
+          'class Type { get() { return 1 } constructor(a, b) {} }',
+        )
+        expect(injector.annotate(Type)).toEqual(['a', 'b'])
+      })
+      it('returns an empty array for a class without constructor', () => {
+        const injector = createInjector([])
+        const Type = fromSource('class Type { get(a) {} }')
+        expect(injector.annotate(Type)).toEqual([])
+      })
+      it('drops default values of arguments', () => {
+        const injector = createInjector([])
+        const fn = fromSource(
+          "(a = 1, b = fn(1, 2), c = 'x,)', d = { e: [1, 2] }) => {}",
+        )
+        expect(injector.annotate(fn)).toEqual(['a', 'b', 'c', 'd'])
+      })
+      it('keeps comment-like strings in default values', () => {
+        const injector = createInjector([])
+        const fn = fromSource(
+          "function (url = 'http://x', /* c */ b = '/*', c = 1) {}",
+        )
+        expect(injector.annotate(fn)).toEqual(['url', 'b', 'c'])
+      })
+      it('throws coded error for destructured arguments', () => {
+        const injector = createInjector([])
+        const fn = fromSource('({ a, b }, c) => c')
+        expect(() => injector.annotate(fn)).toThrowError(
+          /\[\$injector:badparam\]/,
+        )
+      })
+      it('throws for arguments with default values in strict mode', () => {
+        const injector = createInjector([], true)
+        const fn = fromSource('(a = 1) => a')
+        expect(() => {
+          injector.annotate(fn)
+        }).toThrow()
+      })
+      it('instantiates a non-annotated ES class', () => {
+        const module = window.angular.module('myModule', [])
+        module.constant('a', 1)
+        module.constant('b', 2)
+        const injector = createInjector(['myModule'])
+        const Type = fromSource(
+          'class Type { constructor(a, b) { this.result = a + b } }',
+        )
+        const instance = injector.instantiate(Type)
+        expect(instance instanceof Type).toBe(true)
+        expect(instance.result).toBe(3)
+      })
+    })
     it('throws when using a non-annotated fn in strict mode', () => {
       const injector = createInjector([], true)
       const fn = function (a, b, c) {}
@@ -257,4 +335,1344 @@ describe('injector', () => {
       expect(instance.result).toBe(4)
     })
   })
+
+  describe('providers', () => {
+    it('allows registering a provider and uses its $get', () => {
+      const module = window.angular.module('myModule', [])
+      module.provider('a', {
+        $get: () => 42,
+      })
+      const injector = createInjector(['myModule'])
+      expect(injector.has('a')).toBe(true)
+      expect(injector.get('a')).toBe(42)
+    })
+    it('injects the $get method of a provider', () => {
+      const module = window.angular.module('myModule', [])
+      module.constant('a', 1)
+      module.provider('b', {
+        $get: (a) => a + 2,
+      })
+      const injector = createInjector(['myModule'])
+      expect(injector.get('b')).toBe(3)
+    })
+    it('injects the $get method of a provider lazily', () => {
+      const module = window.angular.module('myModule', [])
+      module.provider('b', {
+        $get: (a) => a + 2,
+      })
+      module.provider('a', { $get: constant(1) })
+      const injector = createInjector(['myModule'])
+      expect(injector.get('b')).toBe(3)
+    })
+    it('instantiates a dependency only once', () => {
+      const module = window.angular.module('myModule', [])
+      module.provider('a', { $get: () => ({}) })
+      const injector = createInjector(['myModule'])
+      expect(injector.get('a')).toBe(injector.get('a'))
+    })
+    it('instantiates a provider if given as a constructor function', () => {
+      const module = window.angular.module('myModule', [])
+      module.provider('a', function AProvider() {
+        this.$get = () => 42
+      })
+      const injector = createInjector(['myModule'])
+      expect(injector.get('a')).toBe(42)
+    })
+    it('registers constants first to make them available to providers', () => {
+      const module = window.angular.module('myModule', [])
+      module.provider('a', function AProvider(b) {
+        this.$get = () => b
+      })
+      module.constant('b', 42)
+      const injector = createInjector(['myModule'])
+      expect(injector.get('a')).toBe(42)
+    })
+  })
+
+  describe('factory, value and service', () => {
+    it('allows registering a factory', () => {
+      const module = window.angular.module('myModule', [])
+      module.factory('a', () => 42)
+      const injector = createInjector(['myModule'])
+      expect(injector.get('a')).toBe(42)
+    })
+    it('injects a factory function with instances', () => {
+      const module = window.angular.module('myModule', [])
+      module.factory('a', () => 1)
+      module.factory('b', (a) => a + 2)
+      const injector = createInjector(['myModule'])
+      expect(injector.get('b')).toBe(3)
+    })
+    it('only calls a factory function once', () => {
+      const module = window.angular.module('myModule', [])
+      module.factory('a', () => ({}))
+      const injector = createInjector(['myModule'])
+      expect(injector.get('a')).toBe(injector.get('a'))
+    })
+    it('allows registering a value', () => {
+      const module = window.angular.module('myModule', [])
+      module.value('a', 42)
+      const injector = createInjector(['myModule'])
+      expect(injector.get('a')).toBe(42)
+    })
+    it('allows an undefined value', () => {
+      const module = window.angular.module('myModule', [])
+      module.value('a', undefined)
+      const injector = createInjector(['myModule'])
+      expect(injector.has('a')).toBe(true)
+      expect(injector.get('a')).toBeUndefined()
+    })
+    it('allows registering a service', () => {
+      const module = window.angular.module('myModule', [])
+      module.service('aService', function MyService() {
+        this.getValue = () => 42
+      })
+      const injector = createInjector(['myModule'])
+      expect(injector.get('aService').getValue()).toBe(42)
+    })
+    it('injects service constructors with instances', () => {
+      const module = window.angular.module('myModule', [])
+      module.value('theValue', 42)
+      module.service('aService', function MyService(theValue) {
+        this.getValue = () => theValue
+      })
+      const injector = createInjector(['myModule'])
+      expect(injector.get('aService').getValue()).toBe(42)
+    })
+    it('only instantiates services once', () => {
+      const module = window.angular.module('myModule', [])
+      module.service('aService', function MyService() {})
+      const injector = createInjector(['myModule'])
+      expect(injector.get('aService')).toBe(injector.get('aService'))
+    })
+  })
+
+  describe('provider and instance injectors', () => {
+    it('injects another provider to a provider constructor function', () => {
+      const module = window.angular.module('myModule', [])
+      module.provider('a', function AProvider() {
+        let value = 1
+        this.setValue = (v) => {
+          value = v
+        }
+        this.$get = () => value
+      })
+      module.provider('b', function BProvider(aProvider) {
+        aProvider.setValue(2)
+        this.$get = () => {}
+      })
+      const injector = createInjector(['myModule'])
+      expect(injector.get('a')).toBe(2)
+    })
+    it('does not inject an instance to a provider constructor function', () => {
+      const module = window.angular.module('myModule', [])
+      module.provider('a', function AProvider() {
+        this.$get = () => 1
+      })
+      module.provider('b', function BProvider(a) {
+        this.$get = () => a
+      })
+      expect(() => {
+        createInjector(['myModule'])
+      }).toThrow()
+    })
+    it('does not inject a provider to a $get function', () => {
+      const module = window.angular.module('myModule', [])
+      module.provider('a', function AProvider() {
+        this.$get = () => 1
+      })
+      module.provider('b', function BProvider() {
+        this.$get = (aProvider) => aProvider
+      })
+      const injector = createInjector(['myModule'])
+      expect(() => {
+        injector.get('b')
+      }).toThrow()
+      expect(injector.has('aProvider')).toBe(false)
+    })
+    it('registers constants in both injectors', () => {
+      const module = window.angular.module('myModule', [])
+      module.constant('a', 42)
+      module.provider('b', function BProvider(a) {
+        this.$get = () => a
+      })
+      const injector = createInjector(['myModule'])
+      expect(injector.get('b')).toBe(42)
+    })
+    it('allows injecting the instance injector to $get', () => {
+      const module = window.angular.module('myModule', [])
+      module.constant('a', 42)
+      module.provider('b', function BProvider() {
+        this.$get = ($injector) => $injector.get('a')
+      })
+      const injector = createInjector(['myModule'])
+      expect(injector.get('b')).toBe(42)
+    })
+    it('allows injecting the provider injector to provider', () => {
+      const module = window.angular.module('myModule', [])
+      module.provider('a', function AProvider() {
+        this.value = 42
+        this.$get = () => this.value
+      })
+      module.provider('b', function BProvider($injector) {
+        const aProvider = $injector.get('aProvider')
+        this.$get = () => aProvider.value
+      })
+      const injector = createInjector(['myModule'])
+      expect(injector.get('b')).toBe(42)
+    })
+    it('allows injecting the $provide service to providers', () => {
+      const module = window.angular.module('myModule', [])
+      module.provider('a', function AProvider($provide) {
+        $provide.constant('b', 2)
+        this.$get = (b) => 1 + b
+      })
+      const injector = createInjector(['myModule'])
+      expect(injector.get('a')).toBe(3)
+    })
+    it('does not allow injecting the $provide service to $get', () => {
+      const module = window.angular.module('myModule', [])
+      module.provider('a', function AProvider() {
+        this.$get = ($provide) => $provide
+      })
+      const injector = createInjector(['myModule'])
+      expect(() => {
+        injector.get('a')
+      }).toThrow()
+    })
+  })
+
+  describe('circular dependencies', () => {
+    it('notifies the user about a circular dependency', () => {
+      const module = window.angular.module('myModule', [])
+      module.factory('a', (b) => {})
+      module.factory('b', (c) => {})
+      module.factory('c', (a) => {})
+      const injector = createInjector(['myModule'])
+      expect(() => {
+        injector.get('a')
+      }).toThrowError(/Circular dependency found: a <- c <- b <- a/)
+    })
+    it('notifies the user about a self-dependent factory', () => {
+      const module = window.angular.module('myModule', [])
+      module.factory('a', (a) => {})
+      const injector = createInjector(['myModule'])
+      expect(() => {
+        injector.get('a')
+      }).toThrowError(/Circular dependency found: a <- a/)
+    })
+    it('cleans up the circular marker when instantiation fails', () => {
+      const module = window.angular.module('myModule', [])
+      module.provider('a', {
+        $get: () => {
+          throw 'Failing instantiation!'
+        },
+      })
+      const injector = createInjector(['myModule'])
+      expect(() => {
+        injector.get('a')
+      }).toThrow('Failing instantiation!')
+      expect(() => {
+        injector.get('a')
+      }).toThrow('Failing instantiation!')
+    })
+  })
+
+  describe('config and run blocks', () => {
+    it('runs config blocks when the injector is created', () => {
+      const module = window.angular.module('myModule', [])
+      let hasRun = false
+      module.config(() => {
+        hasRun = true
+      })
+      createInjector(['myModule'])
+      expect(hasRun).toBe(true)
+    })
+    it('injects config blocks with provider injector', () => {
+      const module = window.angular.module('myModule', [])
+      module.config(($provide) => {
+        $provide.constant('a', 42)
+      })
+      const injector = createInjector(['myModule'])
+      expect(injector.get('a')).toBe(42)
+    })
+    it('runs config blocks after constants and providers are registered', () => {
+      const module = window.angular.module('myModule', [])
+      module.config((aProvider) => {
+        aProvider.value = 43
+      })
+      module.provider('a', function AProvider() {
+        this.value = 42
+        this.$get = () => this.value
+      })
+      const injector = createInjector(['myModule'])
+      expect(injector.get('a')).toBe(43)
+    })
+    it('runs config blocks in module dependency order', () => {
+      const calls = []
+      window.angular
+        .module('myModule', ['myOtherModule'])
+        .config(() => calls.push('myModule'))
+      window.angular
+        .module('myOtherModule', [])
+        .config(() => calls.push('myOtherModule'))
+      createInjector(['myModule'])
+      expect(calls).toEqual(['myOtherModule', 'myModule'])
+    })
+    it('runs run blocks when the injector is created', () => {
+      const module = window.angular.module('myModule', [])
+      let hasRun = false
+      module.run(() => {
+        hasRun = true
+      })
+      createInjector(['myModule'])
+      expect(hasRun).toBe(true)
+    })
+    it('injects run blocks with the instance injector', () => {
+      const module = window.angular.module('myModule', [])
+      module.value('a', 42)
+      let gotA
+      module.run((a) => {
+        gotA = a
+      })
+      createInjector(['myModule'])
+      expect(gotA).toBe(42)
+    })
+    it('runs run blocks after all modules are loaded', () => {
+      const module1 = window.angular.module('myModule', [])
+      const module2 = window.angular.module('myOtherModule', [])
+      let result
+      module1.run((aService) => {
+        result = aService
+      })
+      module2.factory('aService', () => 42)
+      createInjector(['myModule', 'myOtherModule'])
+      expect(result).toBe(42)
+    })
+  })
+
+  describe('decorators', () => {
+    it('allows changing an instance using a decorator', () => {
+      const module = window.angular.module('myModule', [])
+      module.factory('aValue', () => ({ aKey: 42 }))
+      module.config(($provide) => {
+        $provide.decorator('aValue', ($delegate) => {
+          $delegate.decoratedKey = 43
+          return $delegate
+        })
+      })
+      const injector = createInjector(['myModule'])
+      expect(injector.get('aValue').aKey).toBe(42)
+      expect(injector.get('aValue').decoratedKey).toBe(43)
+    })
+    it('replaces an instance with the value returned by a decorator', () => {
+      const module = window.angular.module('myModule', [])
+      module.value('aValue', 42)
+      module.decorator('aValue', ($delegate) => $delegate + 1)
+      const injector = createInjector(['myModule'])
+      expect(injector.get('aValue')).toBe(43)
+    })
+    it('applies several decorators in registration order', () => {
+      const module = window.angular.module('myModule', [])
+      module.value('aValue', 'a')
+      module.decorator('aValue', ($delegate) => $delegate + 'b')
+      module.decorator('aValue', ($delegate) => $delegate + 'c')
+      const injector = createInjector(['myModule'])
+      expect(injector.get('aValue')).toBe('abc')
+    })
+    it('uses dependency injection with decorators', () => {
+      const module = window.angular.module('myModule', [])
+      module.factory('aValue', () => ({}))
+      module.constant('a', 42)
+      module.decorator('aValue', (a, $delegate) => {
+        $delegate.decoratedKey = a
+        return $delegate
+      })
+      const injector = createInjector(['myModule'])
+      expect(injector.get('aValue').decoratedKey).toBe(42)
+    })
+    it('applies a module decorator after the service is registered', () => {
+      const module = window.angular.module('myModule', [])
+      module.decorator('aValue', ($delegate) => $delegate * 2)
+      module.value('aValue', 21)
+      const injector = createInjector(['myModule'])
+      expect(injector.get('aValue')).toBe(42)
+    })
+  })
+
+  describe('function modules', () => {
+    it('runs a function module dependency as a config block', () => {
+      const functionModule = ($provide) => {
+        $provide.constant('a', 42)
+      }
+      window.angular.module('myModule', [functionModule])
+      const injector = createInjector(['myModule'])
+      expect(injector.get('a')).toBe(42)
+    })
+    it('runs a function module with array injection as a config block', () => {
+      const functionModule = [
+        '$provide',
+        ($provide) => {
+          $provide.constant('a', 42)
+        },
+      ]
+      const injector = createInjector([functionModule])
+      expect(injector.get('a')).toBe(42)
+    })
+    it('supports returning a run block from a function module', () => {
+      let result
+      const functionModule = ($provide) => {
+        $provide.constant('a', 42)
+        return (a) => {
+          result = a
+        }
+      }
+      createInjector([functionModule])
+      expect(result).toBe(42)
+    })
+    it('ignores non-function values returned from a function module', () => {
+      const functionModule = ($provide) => $provide.constant('a', 42)
+      const injector = createInjector([
+        functionModule,
+        ['$provide', ($provide) => 2],
+      ])
+      expect(injector.get('a')).toBe(42)
+    })
+    it('only loads function modules once', () => {
+      let loadedTimes = 0
+      const functionModule = () => {
+        loadedTimes++
+      }
+      window.angular.module('myModule', [functionModule, functionModule])
+      createInjector(['myModule', functionModule])
+      expect(loadedTimes).toBe(1)
+    })
+  })
+
+  describe('errors', () => {
+    const catchError = (fn) => {
+      try {
+        fn()
+      } catch (err) {
+        return err
+      }
+    }
+
+    it('throws coded errors with the dependency path', () => {
+      const module = window.angular.module('myModule', [])
+      module.factory('a', (b) => {})
+      module.factory('b', (a) => {})
+      const injector = createInjector(['myModule'])
+      const err = catchError(() => injector.get('a'))
+      expect(err instanceof Error).toBe(true)
+      expect(err.code).toBe('$injector:cdep')
+      expect(err.path).toEqual(['a', 'b', 'a'])
+      expect(err.stack).toBeDefined()
+    })
+    it('throws a coded error in strict mode', () => {
+      const injector = createInjector([], true)
+      const err = catchError(() => injector.annotate(function fn(a) {}))
+      expect(err.code).toBe('$injector:strictdi')
+    })
+    it('wraps module loading errors with the module name', () => {
+      window.angular.module('myModule', ['myOtherModule'])
+      window.angular.module('myOtherModule', []).config(() => {
+        throw new Error('Config failure')
+      })
+      const err = catchError(() => createInjector(['myModule']))
+      expect(err.code).toBe('$injector:modulerr')
+      expect(err.module).toBe('myOtherModule')
+      expect(err.message).toMatch(/Config failure/)
+      expect(err.cause.message).toBe('Config failure')
+    })
+    it('throws modulerr when a required module is not available', () => {
+      window.angular.module('myModule', ['myOtherModule'])
+      const err = catchError(() => createInjector(['myModule']))
+      expect(err.code).toBe('$injector:modulerr')
+      expect(err.module).toBe('myOtherModule')
+      expect(err.cause.code).toBe('$injector:nomod')
+    })
+    it('wraps undefined and null thrown by modules', () => {
+      forEach([undefined, null], (thrown) => {
+        const err = catchError(() =>
+          createInjector([
+            () => {
+              throw thrown
+            },
+          ]),
+        )
+        expect(err.code).toBe('$injector:modulerr')
+        expect(err.cause).toBe(thrown)
+      })
+    })
+  })
+
+  describe('unknown and optional dependencies', () => {
+    it('throws when a dependency is not registered', () => {
+      const module = window.angular.module('myModule', [])
+      module.factory('a', (b) => b)
+      const injector = createInjector(['myModule'])
+      expect(() => {
+        injector.get('a')
+      }).toThrowError(/Unknown provider: bProvider <- b <- a/)
+    })
+    it('includes the full dependency path in the error', () => {
+      const module = window.angular.module('myModule', [])
+      module.factory('a', (b) => b)
+      module.factory('b', (c) => c)
+      const injector = createInjector(['myModule'])
+      let err
+      try {
+        injector.get('a')
+      } catch (e) {
+        err = e
+      }
+      expect(err.code).toBe('$injector:unpr')
+      expect(err.path).toEqual(['cProvider', 'c', 'b', 'a'])
+    })
+    it('throws when invoking a function with an unknown dependency', () => {
+      const injector = createInjector([])
+      const fn = (a) => a
+      fn.$inject = ['unknown']
+      expect(() => {
+        injector.invoke(fn)
+      }).toThrowError(/Unknown provider: unknownProvider <- unknown/)
+    })
+    it('throws when decorating an unknown service', () => {
+      const module = window.angular.module('myModule', [])
+      module.decorator('a', ($delegate) => $delegate)
+      expect(() => {
+        createInjector(['myModule'])
+      }).toThrowError(/Unknown provider: aProvider/)
+    })
+    it('resolves an unknown optional dependency to undefined', () => {
+      const module = window.angular.module('myModule', [])
+      module.factory('a', ['?b', (b) => b])
+      const injector = createInjector(['myModule'])
+      expect(injector.get('a')).toBeUndefined()
+    })
+    it('resolves a registered optional dependency', () => {
+      const module = window.angular.module('myModule', [])
+      module.value('b', 42)
+      module.factory('a', ['?b', (b) => b])
+      const injector = createInjector(['myModule'])
+      expect(injector.get('a')).toBe(42)
+    })
+    it('supports optional dependencies in get', () => {
+      const injector = createInjector([])
+      expect(injector.get('?a')).toBeUndefined()
+    })
+    it('overrides optional dependencies with locals', () => {
+      const injector = createInjector([])
+      expect(injector.invoke(['?x', (x) => x], null, { x: 5 })).toBe(5)
+    })
+  })
+
+  describe('loadNewModules', () => {
+    it('loads a module again after failed attempt', () => {
+      const injector = createInjector([])
+      let fail = true
+      let configured = false
+      window.angular
+        .module('featureModule', ['sharedModule'])
+        .value('a', 42)
+        .config(() => {
+          if (fail) throw new Error('Config failure')
+          configured = true
+        })
+      window.angular.module('sharedModule', [])
+      expect(() => injector.loadNewModules(['featureModule'])).toThrowError(
+        /modulerr/,
+      )
+      expect(injector.modules.featureModule).toBeUndefined()
+      fail = false
+      injector.loadNewModules(['featureModule'])
+      expect(configured).toBe(true)
+      expect(injector.modules.featureModule).toBeDefined()
+    })
+    it('makes services of a new module available', () => {
+      window.angular.module('myModule', [])
+      const injector = createInjector(['myModule'])
+      window.angular.module('featureModule', []).value('a', 42)
+      injector.loadNewModules(['featureModule'])
+      expect(injector.has('a')).toBe(true)
+      expect(injector.get('a')).toBe(42)
+    })
+    it('loads required modules of a new module', () => {
+      const injector = createInjector([])
+      window.angular.module('featureModule', ['sharedModule'])
+      window.angular.module('sharedModule', []).constant('a', 42)
+      injector.loadNewModules(['featureModule'])
+      expect(injector.get('a')).toBe(42)
+    })
+    it('runs config and run blocks of a new module', () => {
+      const injector = createInjector([])
+      let result
+      window.angular
+        .module('featureModule', [])
+        .provider('a', function AProvider() {
+          this.value = 1
+          this.$get = () => this.value
+        })
+        .config((aProvider) => {
+          aProvider.value = 42
+        })
+        .run((a) => {
+          result = a
+        })
+      injector.loadNewModules(['featureModule'])
+      expect(result).toBe(42)
+    })
+    it('skips already loaded modules', () => {
+      let configRuns = 0
+      window.angular.module('myModule', []).config(() => {
+        configRuns++
+      })
+      window.angular.module('featureModule', ['myModule'])
+      const injector = createInjector(['myModule'])
+      injector.loadNewModules(['featureModule', 'myModule'])
+      expect(configRuns).toBe(1)
+    })
+    it('allows new services to depend on existing ones', () => {
+      window.angular.module('myModule', []).value('a', 1)
+      const injector = createInjector(['myModule'])
+      window.angular.module('featureModule', []).factory('b', (a) => a + 1)
+      injector.loadNewModules(['featureModule'])
+      expect(injector.get('b')).toBe(2)
+    })
+  })
+
+  describe('non-string tokens', () => {
+    it('allows registering and getting a Symbol token', () => {
+      const token = Symbol('a')
+      window.angular.module('myModule', []).value(token, 42)
+      const injector = createInjector(['myModule'])
+      expect(injector.has(token)).toBe(true)
+      expect(injector.get(token)).toBe(42)
+    })
+    it('allows using a class reference as a token', () => {
+      class Logger {}
+      window.angular.module('myModule', []).service(Logger, Logger)
+      const injector = createInjector(['myModule'])
+      expect(injector.get(Logger) instanceof Logger).toBe(true)
+    })
+    it('does not mix up tokens with the same name', () => {
+      const libA = (() => class Logger {})()
+      const libB = (() => class Logger {})()
+      window.angular
+        .module('myModule', [])
+        .service(libA, libA)
+        .service(libB, libB)
+      const injector = createInjector(['myModule'])
+      expect(injector.get(libA) instanceof libA).toBe(true)
+      expect(injector.get(libB) instanceof libB).toBe(true)
+    })
+    it('injects non-string tokens from array and $inject annotations', () => {
+      const token = Symbol('a')
+      class Logger {}
+      const fn = (a, logger) => [a, logger]
+      fn.$inject = [token, Logger]
+      window.angular
+        .module('myModule', [])
+        .constant(token, 1)
+        .service(Logger, Logger)
+        .factory('b', [token, Logger, (a, logger) => [a, logger]])
+      const injector = createInjector(['myModule'])
+      expect(injector.invoke(fn)[0]).toBe(1)
+      expect(injector.get('b')[1]).toBe(injector.get(Logger))
+    })
+    it('injects the provider of a non-string token to config blocks', () => {
+      const token = Symbol('a')
+      window.angular
+        .module('myModule', [])
+        .provider(token, function AProvider() {
+          this.value = 1
+          this.$get = () => this.value
+        })
+        .config([
+          getProviderToken(token),
+          (aProvider) => {
+            aProvider.value = 42
+          },
+        ])
+      const injector = createInjector(['myModule'])
+      expect(injector.get(token)).toBe(42)
+    })
+    it('uses token names in error messages', () => {
+      const token = Symbol('a')
+      class Logger {}
+      window.angular.module('myModule', []).factory(Logger, [token, () => {}])
+      const injector = createInjector(['myModule'])
+      expect(() => {
+        injector.get(Logger)
+      }).toThrowError(/Unknown provider: aProvider <- a <- Logger/)
+    })
+  })
+
+  describe('multi-bindings', () => {
+    it('collects contributions of several modules in load order', () => {
+      window.angular
+        .module('myModule', ['myOtherModule'])
+        .multi('validators', () => 'b')
+      window.angular.module('myOtherModule', []).multi('validators', () => 'a')
+      const injector = createInjector(['myModule'])
+      expect(injector.get('validators')).toEqual(['a', 'b'])
+    })
+    it('injects contributions with dependencies', () => {
+      window.angular
+        .module('myModule', [])
+        .value('a', 1)
+        .multi('numbers', (a) => a)
+        .multi('numbers', ['a', (a) => a + 1])
+      const injector = createInjector(['myModule'])
+      expect(injector.get('numbers')).toEqual([1, 2])
+    })
+    it('instantiates contributions once', () => {
+      window.angular.module('myModule', []).multi('objects', () => ({}))
+      const injector = createInjector(['myModule'])
+      expect(injector.get('objects')).toBe(injector.get('objects'))
+    })
+    it('allows contributing from config blocks via $provide', () => {
+      window.angular
+        .module('myModule', [])
+        .multi('numbers', () => 1)
+        .config(($provide) => {
+          $provide.multi('numbers', () => 2)
+        })
+      const injector = createInjector(['myModule'])
+      expect(injector.get('numbers')).toEqual([1, 2])
+    })
+    it('does not allow mixing multi-bindings with a single provider', () => {
+      window.angular
+        .module('myModule', [])
+        .value('a', 1)
+        .multi('a', () => 2)
+      expect(() => {
+        createInjector(['myModule'])
+      }).toThrowError(/\$injector:multi/)
+    })
+  })
+
+  describe('destroy', () => {
+    it('calls $onDestroy hooks in reverse creation order', () => {
+      const calls = []
+      const createService = (name) => ({
+        $onDestroy: () => calls.push(name),
+      })
+      window.angular
+        .module('myModule', [])
+        .factory('a', () => createService('a'))
+        .factory('b', (a) => createService('b'))
+      const injector = createInjector(['myModule'])
+      injector.get('b')
+      injector.destroy()
+      expect(calls).toEqual(['b', 'a'])
+    })
+    it('does not call hooks of services that were never instantiated', () => {
+      const $onDestroy = jasmine.createSpy('$onDestroy')
+      window.angular.module('myModule', []).factory('a', () => ({ $onDestroy }))
+      const injector = createInjector(['myModule'])
+      injector.destroy()
+      expect($onDestroy).not.toHaveBeenCalled()
+    })
+    it('calls hooks of multi-binding contributions', () => {
+      const $onDestroy = jasmine.createSpy('$onDestroy')
+      window.angular.module('myModule', []).multi('a', () => ({ $onDestroy }))
+      const injector = createInjector(['myModule'])
+      injector.get('a')
+      injector.destroy()
+      expect($onDestroy).toHaveBeenCalled()
+    })
+    it('calls all hooks even if one of them throws', () => {
+      const $onDestroy = jasmine.createSpy('$onDestroy')
+      window.angular
+        .module('myModule', [])
+        .factory('a', () => ({ $onDestroy }))
+        .factory('b', (a) => ({
+          $onDestroy: () => {
+            throw new Error('Destroy failure')
+          },
+        }))
+      const injector = createInjector(['myModule'])
+      injector.get('b')
+      expect(() => {
+        injector.destroy()
+      }).toThrowError('Destroy failure')
+      expect($onDestroy).toHaveBeenCalled()
+    })
+    it('throws when the destroyed injector is used', () => {
+      window.angular.module('myModule', []).value('a', 1)
+      const injector = createInjector(['myModule'])
+      injector.destroy()
+      expect(() => {
+        injector.get('a')
+      }).toThrowError(/\$injector:destroyed/)
+      expect(() => {
+        injector.invoke(() => {})
+      }).toThrowError(/\$injector:destroyed/)
+      expect(() => {
+        injector.instantiate(class A {})
+      }).toThrowError(/\$injector:destroyed/)
+    })
+    it('destroys the injector only once', () => {
+      const $onDestroy = jasmine.createSpy('$onDestroy')
+      window.angular.module('myModule', []).factory('a', () => ({ $onDestroy }))
+      const injector = createInjector(['myModule'])
+      injector.get('a')
+      injector.destroy()
+      injector.destroy()
+      expect($onDestroy.calls.count()).toBe(1)
+    })
+    it('calls hooks of services wrapped by decorators', () => {
+      const calls = []
+      window.angular
+        .module('myModule', [])
+        .factory('a', () => ({ $onDestroy: () => calls.push('original') }))
+        .decorator('a', ($delegate) => ({
+          inner: $delegate,
+          $onDestroy: () => calls.push('decorated'),
+        }))
+      const injector = createInjector(['myModule'])
+      injector.get('a')
+      injector.destroy()
+      expect(calls).toEqual(['decorated', 'original'])
+    })
+    it('calls hook once when decorator returns the $delegate', () => {
+      const $onDestroy = jasmine.createSpy('$onDestroy')
+      window.angular
+        .module('myModule', [])
+        .factory('a', () => ({ $onDestroy }))
+        .decorator('a', ($delegate) => $delegate)
+      const injector = createInjector(['myModule'])
+      injector.get('a')
+      injector.destroy()
+      expect($onDestroy.calls.count()).toBe(1)
+    })
+  })
+
+  describe('child injectors', () => {
+    it('falls back to the parent injector', () => {
+      window.angular.module('myModule', []).value('a', 42)
+      const injector = createInjector(['myModule'])
+      const child = injector.createChild([])
+      expect(child.has('a')).toBe(true)
+      expect(child.get('a')).toBe(42)
+    })
+    it('shares parent singletons', () => {
+      window.angular.module('myModule', []).factory('a', () => ({}))
+      const injector = createInjector(['myModule'])
+      const child = injector.createChild([])
+      expect(child.get('a')).toBe(injector.get('a'))
+    })
+    it('overrides services without affecting the parent', () => {
+      window.angular.module('myModule', []).value('$http', 'parent $http')
+      window.angular.module('myTestModule', []).value('$http', 'mock $http')
+      const injector = createInjector(['myModule'])
+      const child = injector.createChild(['myTestModule'])
+      expect(child.get('$http')).toBe('mock $http')
+      expect(injector.get('$http')).toBe('parent $http')
+      expect(injector.has('$http')).toBe(true)
+    })
+    it('decorates services in the child without affecting the parent', () => {
+      window.angular.module('myModule', []).factory('a', () => 'a')
+      const injector = createInjector(['myModule'])
+      const child = injector.createChild([
+        ($provide) => {
+          $provide.decorator('a', ($delegate) => $delegate + ' decorated')
+        },
+      ])
+      expect(child.get('a')).toBe('a decorated')
+      expect(injector.get('a')).toBe('a')
+    })
+    it('injects child services with parent services', () => {
+      window.angular.module('myModule', []).value('a', 1)
+      const injector = createInjector(['myModule'])
+      const child = injector.createChild([
+        ($provide) => {
+          $provide.factory('b', (a) => a + 1)
+        },
+      ])
+      expect(child.get('b')).toBe(2)
+      expect(injector.has('b')).toBe(false)
+    })
+    it('does not allow configuring parent providers in child modules', () => {
+      let ttl = 1
+      window.angular.module('myModule', []).provider('a', function AProvider() {
+        this.setTtl = (value) => {
+          ttl = value
+        }
+        this.$get = () => ttl
+      })
+      const injector = createInjector(['myModule'])
+      expect(() => {
+        injector.createChild([
+          (aProvider) => {
+            aProvider.setTtl(2)
+          },
+        ])
+      }).toThrowError(/\$injector:parentprov/)
+      expect(ttl).toBe(1)
+      expect(injector.get('a')).toBe(1)
+    })
+    it('injects parent constants into child config blocks', () => {
+      window.angular.module('myModule', []).constant('a', 1)
+      const injector = createInjector(['myModule'])
+      let gotConstant
+      injector.createChild([
+        (a) => {
+          gotConstant = a
+        },
+      ])
+      expect(gotConstant).toBe(1)
+    })
+    it('does not load modules already loaded by the parent', () => {
+      const configFn = jasmine.createSpy('configFn')
+      window.angular.module('myModule', []).config(configFn)
+      window.angular.module('myChildModule', ['myModule'])
+      const injector = createInjector(['myModule'])
+      injector.createChild(['myChildModule'])
+      expect(configFn.calls.count()).toBe(1)
+    })
+    it('injects the child injector as $injector', () => {
+      const injector = createInjector([])
+      const child = injector.createChild([])
+      expect(child.get('$injector')).toBe(child)
+    })
+    it('throws unknown provider errors for tokens missing in both', () => {
+      const injector = createInjector([])
+      const child = injector.createChild([])
+      expect(() => {
+        child.get('a')
+      }).toThrowError(/Unknown provider: aProvider <- a/)
+    })
+  })
+
+  describe('async factories', () => {
+    it('resolves a promise returned by a factory', () => {
+      window.angular
+        .module('myModule', [])
+        .factory('a', () => Promise.resolve(42))
+      const injector = createInjector(['myModule'])
+      return expectAsync(injector.getAsync('a')).toBeResolvedTo(42)
+    })
+    it('injects resolved async dependencies', () => {
+      window.angular
+        .module('myModule', [])
+        .constant('a', 1)
+        .factory('b', (a) => Promise.resolve(a + 1))
+        .factory('c', (a, b) => a + b)
+      const injector = createInjector(['myModule'])
+      return expectAsync(injector.getAsync('c')).toBeResolvedTo(3)
+    })
+    it('resolves independent dependencies in parallel', () => {
+      const resolvers = {}
+      const createFactory = (name) => () =>
+        new Promise((resolve) => {
+          resolvers[name] = resolve
+        })
+      window.angular
+        .module('myModule', [])
+        .factory('a', createFactory('a'))
+        .factory('b', createFactory('b'))
+        .factory('c', (a, b) => a + b)
+      const injector = createInjector(['myModule'])
+      const promise = injector.getAsync('c')
+      return new Promise((resolve) => setTimeout(resolve)).then(() => {
+        // Both factories are called before any of them is resolved
+        expect(Object.keys(resolvers)).toEqual(['a', 'b'])
+        resolvers.a(1)
+        resolvers.b(2)
+        return expectAsync(promise).toBeResolvedTo(3)
+      })
+    })
+    it('instantiates shared async dependencies once', () => {
+      const factoryFn = jasmine
+        .createSpy('factoryFn')
+        .and.returnValue(Promise.resolve(1))
+      window.angular
+        .module('myModule', [])
+        .factory('a', factoryFn)
+        .factory('b', (a) => a)
+        .factory('c', (a, b) => a + b)
+      const injector = createInjector(['myModule'])
+      return injector.getAsync('c').then((c) => {
+        expect(c).toBe(2)
+        expect(factoryFn.calls.count()).toBe(1)
+        expect(injector.get('a')).toBe(1)
+      })
+    })
+    it('invokes a function with async dependencies and locals', () => {
+      window.angular
+        .module('myModule', [])
+        .factory('a', () => Promise.resolve(1))
+      const injector = createInjector(['myModule'])
+      const fn = ['a', 'b', (a, b) => a + b]
+      return expectAsync(
+        injector.invokeAsync(fn, null, { b: 2 }),
+      ).toBeResolvedTo(3)
+    })
+    it('rejects on circular dependencies', () => {
+      window.angular
+        .module('myModule', [])
+        .factory('a', (b) => Promise.resolve(b))
+        .factory('b', (a) => a)
+      const injector = createInjector(['myModule'])
+      return expectAsync(injector.getAsync('a')).toBeRejectedWithError(
+        /Circular dependency found: a <- b <- a/,
+      )
+    })
+    it('rejects on unknown providers', () => {
+      window.angular.module('myModule', []).factory('a', (b) => b)
+      const injector = createInjector(['myModule'])
+      return expectAsync(injector.getAsync('a')).toBeRejectedWithError(
+        /Unknown provider: bProvider <- b <- a/,
+      )
+    })
+    it('resolves an unknown optional dependency to undefined', () => {
+      const injector = createInjector([])
+      return expectAsync(injector.getAsync('?a')).toBeResolvedTo(undefined)
+    })
+    it('overrides optional dependencies with locals', () => {
+      const injector = createInjector([])
+      return expectAsync(
+        injector.invokeAsync(['?x', (x) => x], null, { x: 5 }),
+      ).toBeResolvedTo(5)
+    })
+    it('retries a failed async instantiation', () => {
+      let attempts = 0
+      window.angular
+        .module('myModule', [])
+        .factory('a', () =>
+          ++attempts === 1 ? Promise.reject(new Error('Failure')) : 42,
+        )
+      const injector = createInjector(['myModule'])
+      return injector
+        .getAsync('a')
+        .catch(() => injector.getAsync('a'))
+        .then((a) => {
+          expect(a).toBe(42)
+        })
+    })
+    it('resolves async dependencies of a service', () => {
+      window.angular
+        .module('myModule', [])
+        .factory('config', () => Promise.resolve({ url: '/api' }))
+        .service(
+          'api',
+          class Api {
+            constructor(config) {
+              this.config = config
+            }
+          },
+        )
+      const injector = createInjector(['myModule'])
+      return injector.getAsync('api').then((api) => {
+        expect(api.config).toEqual({ url: '/api' })
+      })
+    })
+    it('resolves async dependencies of a decorated service', () => {
+      window.angular
+        .module('myModule', [])
+        .factory('config', () => Promise.resolve({ url: '/api' }))
+        .factory('api', (config) => ({ config }))
+        .decorator('api', ($delegate, config) => ({
+          ...$delegate,
+          decoratorConfig: config,
+        }))
+      const injector = createInjector(['myModule'])
+      return injector.getAsync('api').then((api) => {
+        expect(api).toEqual({
+          config: { url: '/api' },
+          decoratorConfig: { url: '/api' },
+        })
+      })
+    })
+    it('does not instantiate pending async service in sync get', () => {
+      const factoryFn = jasmine
+        .createSpy('factoryFn')
+        .and.returnValue(Promise.resolve(1))
+      window.angular.module('myModule', []).factory('a', factoryFn)
+      const injector = createInjector(['myModule'])
+      const promise = injector.getAsync('a')
+      expect(() => injector.get('a')).toThrowError(/\$injector:pending/)
+      return promise.then(() => {
+        expect(injector.get('a')).toBe(1)
+        expect(factoryFn.calls.count()).toBe(1)
+      })
+    })
+    it('resolves async multi-binding contributions', () => {
+      window.angular
+        .module('myModule', [])
+        .multi('a', () => Promise.resolve(1))
+        .multi('a', () => 2)
+      const injector = createInjector(['myModule'])
+      return expectAsync(injector.getAsync('a')).toBeResolvedTo([1, 2])
+    })
+    it('passes resolved async instance to decorators', () => {
+      window.angular
+        .module('myModule', [])
+        .factory('a', () => Promise.resolve(1))
+        .decorator('a', ($delegate) => $delegate + 1)
+      const injector = createInjector(['myModule'])
+      return expectAsync(injector.getAsync('a')).toBeResolvedTo(2)
+    })
+  })
+
+  describe('strict DI audit mode', () => {
+    it('injects non-annotated functions', () => {
+      window.angular.module('myModule', []).constant('a', 1)
+      const injector = createInjector(['myModule'], 'audit')
+      expect(injector.invoke((a) => a + 1)).toBe(2)
+    })
+    it('reports non-annotated functions', () => {
+      delete window.angular
+      setupModuleLoader(window, { recordRegistrations: true })
+      function registerServices() {
+        window.angular
+          .module('myModule', [])
+          .constant('a', 1)
+          .factory('b', function bFactory(a) {
+            return a
+          })
+      }
+      registerServices()
+      const injector = createInjector(['myModule'], 'audit')
+      injector.get('b')
+      const [entry] = injector.getDiAuditReport()
+      expect(entry.name).toBe('bFactory')
+      expect(entry.args).toEqual(['a'])
+      expect(entry.location).toMatch(/^at registerServices\b/)
+      expect(entry.stack[0]).toBe(entry.location)
+    })
+    it('reports registration site of services and decorated factories', () => {
+      delete window.angular
+      setupModuleLoader(window, { recordRegistrations: true })
+      function registerServices() {
+        window.angular
+          .module('myModule', [])
+          .constant('a', 1)
+          .service('b', function B(a) {})
+          .factory('c', function cFactory(a) {})
+          .decorator('c', ['$delegate', ($delegate) => $delegate])
+      }
+      registerServices()
+      const injector = createInjector(['myModule'], 'audit', { trace: true })
+      injector.get('b')
+      injector.get('c')
+      const report = injector.getDiAuditReport()
+      expect(report.map(({ name }) => name)).toEqual(['B', 'cFactory'])
+      report.forEach(({ location }) => {
+        expect(location).toMatch(/^at registerServices\b/)
+      })
+    })
+    it('reports caller of functions invoked directly', () => {
+      window.angular.module('myModule', []).constant('a', 1)
+      const injector = createInjector(['myModule'], 'audit', { trace: true })
+      function invokeFunction() {
+        injector.instantiate(function A(a) {})
+      }
+      invokeFunction()
+      expect(injector.getDiAuditReport()[0].location).toMatch(
+        /^at invokeFunction\b/,
+      )
+    })
+    it('reports every function once', () => {
+      window.angular.module('myModule', []).constant('a', 1)
+      const injector = createInjector(['myModule'], 'audit')
+      const fn = (a) => a
+      injector.invoke(fn)
+      injector.invoke(fn)
+      expect(injector.getDiAuditReport().length).toBe(1)
+    })
+    it('does not report annotated and 0-arg functions', () => {
+      window.angular.module('myModule', []).constant('a', 1)
+      const injector = createInjector(['myModule'], 'audit')
+      injector.invoke(['a', (a) => a])
+      injector.invoke(() => {})
+      expect(injector.getDiAuditReport()).toEqual([])
+    })
+    it('does not report functions outside of audit mode', () => {
+      window.angular.module('myModule', []).constant('a', 1)
+      const injector = createInjector(['myModule'])
+      injector.invoke((a) => a)
+      expect(injector.getDiAuditReport()).toEqual([])
+    })
+  })
+
+  describe('tracing', () => {
+    it('records factory calls with the dependency path', () => {
+      window.angular
+        .module('myModule', [])
+        .factory('a', () => 1)
+        .factory('b', (a) => a + 1)
+      const injector = createInjector(['myModule'], false, { trace: true })
+      injector.get('b')
+      const trace = injector.getTrace()
+      expect(
+        trace.map(({ token, type, path }) => ({ token, type, path })),
+      ).toEqual([
+        { token: 'b', type: 'factory', path: [] },
+        { token: 'a', type: 'factory', path: ['b'] },
+      ])
+      expect(trace[0].duration).toBeGreaterThanOrEqual(trace[1].duration)
+    })
+    it('records instantiations of services', () => {
+      class A {}
+      window.angular.module('myModule', []).service('a', A)
+      const injector = createInjector(['myModule'], false, { trace: true })
+      injector.get('a')
+      expect(
+        injector
+          .getTrace()
+          .map(({ token, type, path }) => ({ token, type, path })),
+      ).toEqual([
+        { token: 'a', type: 'factory', path: [] },
+        { token: 'A', type: 'instantiate', path: ['a'] },
+      ])
+    })
+    it('records every instance once', () => {
+      window.angular.module('myModule', []).factory('a', () => 1)
+      const injector = createInjector(['myModule'], false, { trace: true })
+      injector.get('a')
+      injector.get('a')
+      expect(injector.getTrace().length).toBe(1)
+    })
+    it('does not record failed instantiations', () => {
+      window.angular.module('myModule', []).factory('a', (b) => b)
+      const injector = createInjector(['myModule'], false, { trace: true })
+      expect(() => injector.get('a')).toThrow()
+      expect(injector.getTrace()).toEqual([])
+    })
+    it('records async factories', () => {
+      window.angular
+        .module('myModule', [])
+        .factory('a', () => Promise.resolve(1))
+      const injector = createInjector(['myModule'], false, { trace: true })
+      return injector.getAsync('a').then(() => {
+        expect(injector.getTrace()[0]).toEqual(
+          jasmine.objectContaining({ token: 'a', type: 'async', path: [] }),
+        )
+      })
+    })
+    it('calls trace hook with finished entries', () => {
+      const hook = jasmine.createSpy('hook')
+      window.angular.module('myModule', []).factory('a', () => 1)
+      const injector = createInjector(['myModule'], false, { trace: hook })
+      injector.get('a')
+      expect(hook).toHaveBeenCalledWith(injector.getTrace()[0])
+    })
+    it('is disabled by default', () => {
+      window.angular.module('myModule', []).factory('a', () => 1)
+      const injector = createInjector(['myModule'])
+      injector.get('a')
+      expect(injector.getTrace()).toEqual([])
+    })
+    it('exports trace in Chrome trace-event format', () => {
+      window.angular
+        .module('myModule', [])
+        .factory('a', () => 1)
+        .factory('b', (a) => a + 1)
+      const injector = createInjector(['myModule'], false, { trace: true })
+      injector.get('b')
+      const [b, a] = injector.getTrace()
+      const { traceEvents } = injector.getChromeTrace()
+      expect(traceEvents.length).toBe(2)
+      expect(traceEvents[1]).toEqual({
+        name: 'a',
+        cat: 'injector,factory',
+        ph: 'X',
+        ts: a.start * 1000,
+        dur: a.duration * 1000,
+        pid: 1,
+        tid: 1,
+        args: { path: ['b'] },
+      })
+      expect(traceEvents[0].name).toBe(b.token)
+    })
+  })
+
+  describe('module registry', () => {
+    it('loads modules from the given registry', () => {
+      const angular = createAngular()
+      angular.module('myModule', []).constant('a', 42)
+      const injector = createInjector(['myModule'], false, {
+        registry: angular,
+      })
+      expect(injector.get('a')).toBe(42)
+    })
+    it('does not use the global angular when registry is given', () => {
+      window.angular.module('myModule', []).constant('a', 1)
+      const angular = createAngular()
+      angular.module('myModule', []).constant('a', 2)
+      const injector = createInjector(['myModule'], false, {
+        registry: angular,
+      })
+      expect(injector.get('a')).toBe(2)
+    })
+    it('loads required modules from the same registry', () => {
+      const angular = createAngular()
+      angular.module('myModule', ['otherModule'])
+      angular.module('otherModule', []).constant('a', 42)
+      const injector = createInjector(['myModule'], false, {
+        registry: angular,
+      })
+      expect(injector.get('a')).toBe(42)
+    })
+    it('keeps injectors of different registries isolated', () => {
+      const angularA = createAngular()
+      const angularB = createAngular()
+      angularA.module('app', []).factory('a', () => 'A')
+      angularB.module('app', []).factory('a', () => 'B')
+      const injectorA = createInjector(['app'], false, { registry: angularA })
+      const injectorB = createInjector(['app'], false, { registry: angularB })
+      expect(injectorA.get('a')).toBe('A')
+      expect(injectorB.get('a')).toBe('B')
+    })
+    it('passes registry to child injectors and lazily loaded modules', () => {
+      const angular = createAngular()
+      angular.module('myModule', [])
+      angular.module('childModule', []).constant('a', 1)
+      angular.module('lazyModule', []).constant('b', 2)
+      const injector = createInjector(['myModule'], false, {
+        registry: angular,
+      })
+      const child = injector.createChild(['childModule'])
+      injector.loadNewModules(['lazyModule'])
+      expect(child.get('a')).toBe(1)
+      expect(injector.get('b')).toBe(2)
+    })
+  })
+
+  describe('modules info', () => {
+    it('exposes loaded modules', () => {
+      const myModule = window.angular
+        .module('myModule', ['otherModule'])
+        .info({ version: '1.0.0', owner: 'core' })
+      window.angular.module('otherModule', [])
+      window.angular.module('notLoadedModule', [])
+      const injector = createInjector(['myModule'])
+      expect(injector.modules.myModule).toBe(myModule)
+      expect(injector.modules.myModule.info()).toEqual({
+        version: '1.0.0',
+        owner: 'core',
+      })
+      expect(injector.modules.otherModule).toBeDefined()
+      expect(injector.modules.notLoadedModule).toBeUndefined()
+    })
+    it('exposes lazily loaded modules', () => {
+      const injector = createInjector([])
+      window.angular.module('myModule', [])
+      injector.loadNewModules(['myModule'])
+      expect(injector.modules.myModule).toBeDefined()
+    })
+    it('exposes modules of the parent injector to the child', () => {
+      window.angular.module('myModule', [])
+      window.angular.module('childModule', [])
+      const injector = createInjector(['myModule'])
+      const child = injector.createChild(['childModule'])
+      expect(child.modules.myModule).toBeDefined()
+      expect(child.modules.childModule).toBeDefined()
+      expect(injector.modules.childModule).toBeUndefined()
+    })
+  })
 })
@@ -1,4 +1,8 @@
-import { setupModuleLoader } from '../src/loader'
+import {
+  setupModuleLoader,
+  createAngular,
+  getRegistrationStack,
+} from '../src/loader'
 
 describe('setupModuleLoader', () => {
   describe('loader', () => {
@@ -40,6 +44,7 @@ describe('setupModuleLoader', () => {
       expect(myModule.name).toEqual('myModule')
     })
     it('replaces a module when registered with same name again', () => {
+      spyOn(console, 'warn')
       const myModule = window.angular.module('myModule', [])
       const myNewModule = window.angular.module('myModule', [])
       expect(myNewModule).not.toBe(myModule)
@@ -57,7 +62,52 @@ describe('setupModuleLoader', () => {
     it('throws when trying to get a nonexistent module', () => {
       expect(() => {
         window.angular.module('myModule')
-      }).toThrow()
+      }).toThrowError(/\[\$injector:nomod\] Module myModule is not available/)
+    })
+    it('queues provider recipes in the invoke queue', () => {
+      const myModule = window.angular.module('myModule', [])
+      const fn = () => 42
+      myModule.factory('a', fn)
+      expect(myModule._invokeQueue).toEqual([
+        ['$provide', 'factory', ['a', fn]],
+      ])
+    })
+    it('puts constants at the beginning of the invoke queue', () => {
+      const myModule = window.angular.module('myModule', [])
+      myModule.value('a', 1).constant('b', 2)
+      expect(myModule._invokeQueue[0]).toEqual([
+        '$provide',
+        'constant',
+        ['b', 2],
+      ])
+    })
+    it('queues config blocks separately from recipes', () => {
+      const myModule = window.angular.module('myModule', [])
+      const fn = () => {}
+      myModule.config(fn)
+      expect(myModule._invokeQueue).toEqual([])
+      expect(myModule._configBlocks).toEqual([['$injector', 'invoke', [fn]]])
+    })
+    it('collects run blocks', () => {
+      const myModule = window.angular.module('myModule', [])
+      const fn = () => {}
+      expect(myModule.run(fn)).toBe(myModule)
+      expect(myModule._runBlocks).toEqual([fn])
+    })
+    it('warns when a module is redefined', () => {
+      spyOn(console, 'warn')
+      window.angular.module('myModule', [])
+      expect(console.warn).not.toHaveBeenCalled()
+      window.angular.module('myModule', [])
+      expect(console.warn).toHaveBeenCalledWith(
+        'Module myModule is already defined and will be replaced',
+      )
+    })
+    it('allows to set and get module info', () => {
+      const myModule = window.angular.module('myModule', [])
+      expect(myModule.info()).toEqual({})
+      expect(myModule.info({ version: '1.0.0' })).toBe(myModule)
+      expect(myModule.info()).toEqual({ version: '1.0.0' })
     })
     it('does not allow a module to be called hasOwnProperty', () => {
       expect(() => {
@@ -65,4 +115,57 @@ describe('setupModuleLoader', () => {
       }).toThrow()
     })
   })
+
+  describe('realms', () => {
+    it('creates angular realm with module function', () => {
+      const angular = createAngular()
+      const myModule = angular.module('myModule', [])
+      expect(angular.module('myModule')).toBe(myModule)
+    })
+    it('keeps modules of realms separately', () => {
+      const angularA = createAngular()
+      const angularB = createAngular()
+      angularA.module('myModule', [])
+      expect(() => angularB.module('myModule')).toThrowError(/nomod/)
+    })
+    it('throws on module redefinition if configured', () => {
+      const angular = createAngular({ redefinition: 'throw' })
+      const myModule = angular.module('myModule', [])
+      expect(() => angular.module('myModule', [])).toThrowError(
+        /\[\$injector:modredef\] Module myModule is already defined/,
+      )
+      expect(angular.module('myModule')).toBe(myModule)
+    })
+    it('ignores module redefinition if configured', () => {
+      spyOn(console, 'warn')
+      const angular = createAngular({ redefinition: 'ignore' })
+      angular.module('myModule', [])
+      angular.module('myModule', [])
+      expect(console.warn).not.toHaveBeenCalled()
+    })
+    it('records registration sites of functions if configured', () => {
+      const fn = () => {}
+      const provider = { $get: () => {} }
+      const angular = createAngular({ recordRegistrations: true })
+      function registerServices() {
+        angular.module('myModule', []).factory('a', fn).provider('b', provider)
+      }
+      registerServices()
+      expect(getRegistrationStack(fn)[0]).toMatch(/^at registerServices\b/)
+      expect(getRegistrationStack(provider.$get)[0]).toMatch(
+        /^at registerServices\b/,
+      )
+    })
+    it('does not record registration sites by default', () => {
+      const fn = () => {}
+      createAngular().module('myModule', []).factory('a', fn).run(fn)
+      expect(getRegistrationStack(fn)).toBeNull()
+    })
+    it('does not share modules with the global angular', () => {
+      delete window.angular
+      setupModuleLoader(window)
+      createAngular().module('myModule', [])
+      expect(() => window.angular.module('myModule')).toThrowError(/nomod/)
+    })
+  })
 })
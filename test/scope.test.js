@@ -147,6 +147,62 @@ describe('Scope', () => {
       expect(() => scope.$digest()).toThrow()
     })
 
+    it('throws infdig error with watchers of the last iterations', () => {
+      scope.counter = 0
+      scope.$watch('counter', (newValue, oldValue, scope) => {
+        scope.counter++
+      })
+
+      let error
+      try {
+        scope.$digest()
+      } catch (err) {
+        error = err
+      }
+
+      expect(error.code).toBe('$rootScope:infdig')
+      expect(error.watchLog.length).toBe(5)
+      expect(error.watchLog[0]).toEqual([
+        { expression: 'counter', newValue: 5, oldValue: 4 },
+      ])
+      expect(error.watchLog[4]).toEqual([
+        { expression: 'counter', newValue: 9, oldValue: 8 },
+      ])
+      expect(error.message).toContain('10 $digest() iterations reached')
+      expect(error.message).toContain('10: counter; newVal: 9; oldVal: 8')
+    })
+
+    it('shows source of watch functions in infdig error', () => {
+      scope.$watch(
+        function watchFn() {
+          return {}
+        },
+        () => {},
+      )
+
+      expect(() => scope.$digest()).toThrowError(/function watchFn\(\)/)
+    })
+
+    it('shows watchers without expression in infdig error', () => {
+      scope.$root.$$ttl = 3
+      scope.$watch()
+      scope.$watch(() => ({}))
+
+      let error
+      try {
+        scope.$digest()
+      } catch (err) {
+        error = err
+      }
+
+      expect(error.code).toBe('$rootScope:infdig')
+      expect(error.watchLog[0]).toContain({
+        expression: '<no expression>',
+        newValue: undefined,
+        oldValue: undefined,
+      })
+    })
+
     it('ends up the digest when the last watch is clean', () => {
       scope.array = range(100)
       let watchExecutions = 0
@@ -1773,4 +1829,285 @@ describe('Scope', () => {
       }, 100)
     })
   })
+
+  describe('exception handler', () => {
+    let scope
+    let exceptionHandler
+
+    beforeEach(() => {
+      scope = new Scope()
+      exceptionHandler = jasmine.createSpy('exceptionHandler')
+      scope.$$exceptionHandler = exceptionHandler
+    })
+
+    it('passes watch and listener errors with their causes', () => {
+      scope.$watch(() => {
+        throw 'watch error'
+      })
+      scope.$watch(
+        () => 1,
+        () => {
+          throw 'listener error'
+        },
+      )
+      scope.$digest()
+      expect(exceptionHandler).toHaveBeenCalledWith('watch error', 'watch')
+      expect(exceptionHandler).toHaveBeenCalledWith(
+        'listener error',
+        'listener',
+      )
+    })
+    it('passes $evalAsync and $$postDigest errors', () => {
+      scope.$evalAsync(() => {
+        throw 'async error'
+      })
+      scope.$$postDigest(() => {
+        throw 'post digest error'
+      })
+      scope.$digest()
+      expect(exceptionHandler).toHaveBeenCalledWith('async error', '$evalAsync')
+      expect(exceptionHandler).toHaveBeenCalledWith(
+        'post digest error',
+        '$$postDigest',
+      )
+    })
+    it('passes $applyAsync errors', () => {
+      scope.$applyAsync(() => {
+        throw 'apply async error'
+      })
+      scope.$digest()
+      expect(exceptionHandler).toHaveBeenCalledWith(
+        'apply async error',
+        '$applyAsync',
+      )
+    })
+    it('passes event listener errors with event name as a cause', () => {
+      scope.$on('someEvent', () => {
+        throw 'event error'
+      })
+      scope.$emit('someEvent')
+      expect(exceptionHandler).toHaveBeenCalledWith('event error', 'someEvent')
+    })
+    it('uses the root scope handler for child and isolated scopes', () => {
+      const child = scope.$new()
+      const isolated = scope.$new(true)
+      child.$watch(() => {
+        throw 'child error'
+      })
+      isolated.$watch(() => {
+        throw 'isolated error'
+      })
+      scope.$digest()
+      expect(exceptionHandler).toHaveBeenCalledWith('child error', 'watch')
+      expect(exceptionHandler).toHaveBeenCalledWith('isolated error', 'watch')
+    })
+    it('clears the digest phase if handler rethrows', () => {
+      scope.$$exceptionHandler = (err) => {
+        throw err
+      }
+      scope.$watch(() => {
+        throw 'watch error'
+      })
+      expect(() => scope.$digest()).toThrow('watch error')
+      expect(scope.$$phase).toBeNull()
+    })
+  })
+
+  describe('digest profiler', () => {
+    let scope
+    let clock
+
+    // Advances the fake clock to make the watcher measurably slow, timings
+    // of the real one would depend on the machine load
+    const elapse = (ms) => {
+      clock += ms
+    }
+
+    beforeEach(() => {
+      scope = new Scope()
+      clock = 0
+      spyOn(performance, 'now').and.callFake(() => clock)
+    })
+
+    it('is disabled by default', () => {
+      expect(scope.$$profiler).toBeNull()
+    })
+    it('counts watch calls and dirty checks by expression', () => {
+      const profiler = scope.$startProfiling()
+      scope.a = 1
+      scope.$watch('a')
+      scope.$digest()
+      scope.$digest()
+      scope.a = 2
+      scope.$digest()
+      const [stats] = profiler.getTopWatchers()
+      expect(stats.expression).toBe('a')
+      expect(stats.scope).toBe(scope)
+      expect(stats.calls).toBe(5) // dirty digests run watchers twice
+      expect(stats.dirtyCount).toBe(2)
+    })
+    it('groups watchers by scope', () => {
+      const profiler = scope.$startProfiling()
+      const child = scope.$new()
+      scope.$watch('a')
+      scope.$watch('a')
+      child.$watch('a')
+      scope.$digest()
+      const stats = profiler.getTopWatchers(10, 'calls')
+      expect(stats.length).toBe(2)
+      expect(stats[0].scope).toBe(scope)
+      expect(stats[0].calls).toBe(4)
+      expect(stats[1].scope).toBe(child)
+    })
+    it('returns top-N slowest watchers', () => {
+      const profiler = scope.$startProfiling()
+      scope.$watch('fast')
+      scope.$watch(function slowWatch() {
+        elapse(5)
+      })
+      scope.$watch('slowListener', () => {
+        elapse(20)
+      })
+      scope.$digest()
+      const top = profiler.getTopWatchers(2)
+      expect(top.length).toBe(2)
+      expect(top[0].expression).toBe('slowListener')
+      expect(top[0].listenerTime).toBe(20)
+      expect(top[0].totalTime).toBe(top[0].watchTime + top[0].listenerTime)
+      expect(top[1].expression).toContain('slowWatch')
+      expect(profiler.getTopWatchers(1, 'watchTime')[0].expression).toContain(
+        'slowWatch',
+      )
+    })
+    it('records duration and iterations of digest cycles', () => {
+      const profiler = scope.$startProfiling()
+      scope.$watch('a', () => {
+        elapse(2)
+      })
+      scope.$digest()
+      scope.$digest()
+      const digests = profiler.getDigests()
+      expect(digests.length).toBe(2)
+      expect(digests[0].iterations).toBe(2)
+      expect(digests[0].duration).toBe(2)
+      expect(digests[1].iterations).toBe(1)
+    })
+    it('profiles watchers without expression', () => {
+      const profiler = scope.$startProfiling()
+      scope.$watch()
+      scope.$digest()
+      expect(profiler.getTopWatchers()[0].expression).toBe('<no expression>')
+    })
+    it('profiles the whole hierarchy when started on a child', () => {
+      const child = scope.$new(true)
+      const profiler = child.$startProfiling()
+      expect(scope.$startProfiling()).toBe(profiler)
+      scope.$watch('a')
+      scope.$digest()
+      expect(profiler.getTopWatchers().length).toBe(1)
+    })
+    it('stops profiling keeping collected data', () => {
+      const profiler = scope.$startProfiling()
+      scope.$watch('a')
+      scope.$digest()
+      expect(scope.$stopProfiling()).toBe(profiler)
+      scope.$digest()
+      expect(profiler.getDigests().length).toBe(1)
+      profiler.reset()
+      expect(profiler.getTopWatchers()).toEqual([])
+    })
+  })
+
+  describe('$destroy', () => {
+    let parent
+    let scope
+    let child
+
+    beforeEach(() => {
+      parent = new Scope()
+      scope = parent.$new()
+      child = scope.$new()
+    })
+
+    it('marks the scope and its children as destroyed', () => {
+      const isolatedChild = scope.$new(true)
+      scope.$destroy()
+      expect(scope.$$destroyed).toBe(true)
+      expect(child.$$destroyed).toBe(true)
+      expect(isolatedChild.$$destroyed).toBe(true)
+      expect(parent.$$destroyed).toBe(false)
+    })
+    it('removes watchers of the children', () => {
+      const listener = jasmine.createSpy()
+      child.$watch('aValue', listener)
+      scope.$destroy()
+      child.$digest()
+      expect(listener).not.toHaveBeenCalled()
+    })
+    it('does not destroy the root scope', () => {
+      parent.$destroy()
+      expect(parent.$$destroyed).toBe(false)
+    })
+    it('fires $destroy only once', () => {
+      const listener = jasmine.createSpy()
+      child.$on('$destroy', listener)
+      scope.$destroy()
+      scope.$destroy()
+      child.$destroy()
+      expect(listener.calls.count()).toBe(1)
+    })
+    it('ignores $watch on destroyed scope', () => {
+      scope.$destroy()
+      const unwatch = scope.$watch('aValue')
+      expect(scope.$$watchers).toEqual([])
+      expect(unwatch).not.toThrow()
+    })
+    it('allows to deregister watchers and listeners after destroy', () => {
+      const unwatch = scope.$watch('aValue')
+      const off = scope.$on('someEvent', () => {})
+      scope.$destroy()
+      expect(unwatch).not.toThrow()
+      expect(off).not.toThrow()
+    })
+    it('ignores $on on destroyed scope', () => {
+      const listener = jasmine.createSpy()
+      scope.$destroy()
+      scope.$on('someEvent', listener)
+      scope.$emit('someEvent')
+      expect(listener).not.toHaveBeenCalled()
+    })
+    it('ignores $evalAsync and $apply on destroyed scope', () => {
+      const fn = jasmine.createSpy()
+      spyOn(parent, '$digest')
+      scope.$destroy()
+      scope.$evalAsync(fn)
+      scope.$apply(fn)
+      expect(parent.$$asyncQueue).toEqual([])
+      expect(fn).not.toHaveBeenCalled()
+      expect(parent.$digest).not.toHaveBeenCalled()
+    })
+    it('drops pending $evalAsync tasks of destroyed scopes', () => {
+      const childTask = jasmine.createSpy()
+      const parentTask = jasmine.createSpy()
+      child.$evalAsync(childTask)
+      parent.$evalAsync(parentTask)
+      scope.$destroy()
+      parent.$digest()
+      expect(childTask).not.toHaveBeenCalled()
+      expect(parentTask).toHaveBeenCalled()
+    })
+    it('drops pending $applyAsync tasks of destroyed scopes', (done) => {
+      const childTask = jasmine.createSpy()
+      const parentTask = jasmine.createSpy()
+      child.$applyAsync(childTask)
+      parent.$applyAsync(parentTask)
+      scope.$destroy()
+      setTimeout(() => {
+        expect(childTask).not.toHaveBeenCalled()
+        expect(parentTask).toHaveBeenCalled()
+        expect(parent.$$applyAsyncId).toBeNull()
+        done()
+      }, 50)
+    })
+  })
 })
@@ -0,0 +1,218 @@
+// Babel plugin adding explicit DI annotations, so the code keeps working after
+// minification (implicit annotation relies on argument names in fn.toString()).
+// Usage (e.g. in babelify options): plugins: ['./tools/babel-plugin-annotate']
+//
+// - Functions passed to module registration methods are rewritten to array
+//   notation: module.factory('a', (b) => b) => module.factory('a', ['b', (b) => b])
+// - Functions and classes passed by reference (declarations and variables
+//   initialized with them) or marked with /* @ngInject */ comment get $inject
+//   assignment: fn.$inject = ['b']
+
+// Registration methods and the position of the injectable argument
+const INJECTABLE_ARGS = {
+  config: 0,
+  run: 0,
+  provider: 1,
+  factory: 1,
+  service: 1,
+  decorator: 1,
+  multi: 1,
+}
+
+// Removes surrounding underscores (_a_ => a) the same way injector does
+const FN_ARG = /^(_?)(\S+?)\1$/
+
+const NG_INJECT = /@ngInject\b/
+
+module.exports = function annotatePlugin({ types: t }) {
+  // Returns the function (or class constructor) whose params are injected
+  const getInjectedFunction = (node) => {
+    if (t.isFunction(node)) return node
+    if (t.isClass(node)) {
+      const constructor = node.body.body.find(
+        (member) => t.isClassMethod(member) && member.kind === 'constructor',
+      )
+      return constructor || { params: [] }
+    }
+    return null
+  }
+
+  // Returns names of the params or null if they can't be annotated (destructuring)
+  const getParamNames = (fn) => {
+    const names = []
+    for (let param of fn.params) {
+      if (t.isAssignmentPattern(param)) param = param.left // default value
+      if (!t.isIdentifier(param)) return null
+      names.push(param.name.match(FN_ARG)[2])
+    }
+    return names
+  }
+
+  // Checks if the expression is a module: angular.module(...) call, chained
+  // module method call (every method returns the module, including constant,
+  // value and info), variable initialized with them or $provide service
+  const isModuleExpression = (node, scope) => {
+    if (t.isIdentifier(node)) {
+      if (node.name === '$provide') return true
+      const binding = scope.getBinding(node.name)
+      return (
+        !!binding &&
+        binding.path.isVariableDeclarator() &&
+        !!binding.path.node.init &&
+        isModuleExpression(binding.path.node.init, binding.path.scope)
+      )
+    }
+    if (t.isCallExpression(node) && t.isMemberExpression(node.callee)) {
+      const { object, property } = node.callee
+      if (t.isIdentifier(property, { name: 'module' })) return true
+      return t.isIdentifier(property) && isModuleExpression(object, scope)
+    }
+    return false
+  }
+
+  // Checks if Name.$inject is assigned anywhere in the scope of the binding
+  const hasInjectAssignment = (binding) =>
+    binding.referencePaths.some(
+      (referencePath) =>
+        referencePath.parentPath.isMemberExpression({
+          object: referencePath.node,
+        }) &&
+        t.isIdentifier(referencePath.parent.property, { name: '$inject' }) &&
+        referencePath.parentPath.parentPath.isAssignmentExpression({
+          left: referencePath.parent,
+        }),
+    )
+
+  // Adds Name.$inject = [...] right after the declaration. Variable declarator
+  // is annotated in place of its initializer, so the value keeps its type.
+  // Declarations annotated manually are left as is.
+  const addInjectProperty = (declarationPath) => {
+    const { node } = declarationPath
+    // Anonymous declaration (export default function () {}) has no name
+    if (node.$$annotated || !t.isIdentifier(node.id)) return
+    const binding = declarationPath.parentPath.scope.getBinding(node.id.name)
+    if (binding && hasInjectAssignment(binding)) return
+    const fn = getInjectedFunction(
+      declarationPath.isVariableDeclarator() ? node.init : node,
+    )
+    const names = fn && getParamNames(fn)
+    if (!names || !names.length) return
+
+    node.$$annotated = true
+    const statementPath = declarationPath.isStatement()
+      ? declarationPath
+      : declarationPath.parentPath
+    statementPath.insertAfter(
+      t.expressionStatement(
+        t.assignmentExpression(
+          '=',
+          t.memberExpression(
+            t.identifier(node.id.name),
+            t.identifier('$inject'),
+          ),
+          t.arrayExpression(names.map((name) => t.stringLiteral(name))),
+        ),
+      ),
+    )
+  }
+
+  // Wraps function to array notation: ['a', 'b', function (a, b) {}]
+  const annotateToArray = (argPath) => {
+    const fn = getInjectedFunction(argPath.node)
+    const names = fn && getParamNames(fn)
+    if (!names || !names.length) return
+
+    argPath.replaceWith(
+      t.arrayExpression([
+        ...names.map((name) => t.stringLiteral(name)),
+        argPath.node,
+      ]),
+    )
+  }
+
+  const annotateInjectable = (argPath) => {
+    if (argPath.isFunction() || argPath.isClass()) {
+      annotateToArray(argPath)
+    } else if (argPath.isIdentifier()) {
+      const binding = argPath.scope.getBinding(argPath.node.name)
+      if (!binding) return
+      if (
+        binding.path.isFunctionDeclaration() ||
+        binding.path.isClassDeclaration() ||
+        binding.path.isVariableDeclarator()
+      ) {
+        addInjectProperty(binding.path)
+      }
+    } else if (argPath.isObjectExpression()) {
+      // Provider object: { $get: function (a) {} }
+      argPath.get('properties').forEach((property) => {
+        const key = property.node.key
+        if (
+          !t.isIdentifier(key, { name: '$get' }) &&
+          !t.isStringLiteral(key, { value: '$get' })
+        ) {
+          return
+        }
+        if (property.isObjectMethod()) {
+          // Method shorthand can't be wrapped, so it's converted to property
+          const { params, body, async, generator } = property.node
+          property.replaceWith(
+            t.objectProperty(
+              t.identifier('$get'),
+              t.functionExpression(null, params, body, generator, async),
+            ),
+          )
+        }
+        annotateToArray(property.get('value'))
+      })
+    }
+  }
+
+  const hasNgInjectComment = (node) =>
+    (node.leadingComments || []).some((comment) =>
+      NG_INJECT.test(comment.value),
+    )
+
+  return {
+    name: 'annotate',
+    visitor: {
+      CallExpression(path) {
+        const { callee } = path.node
+        if (!t.isMemberExpression(callee) || !t.isIdentifier(callee.property)) {
+          return
+        }
+        const argIndex = INJECTABLE_ARGS[callee.property.name]
+        if (
+          argIndex === undefined ||
+          !isModuleExpression(callee.object, path.scope)
+        ) {
+          return
+        }
+        const argPath = path.get('arguments')[argIndex]
+        if (argPath) {
+          annotateInjectable(argPath)
+        }
+      },
+      // $get assigned in provider constructor: this.$get = function (a) {}
+      AssignmentExpression(path) {
+        const { left } = path.node
+        if (
+          t.isMemberExpression(left) &&
+          t.isThisExpression(left.object) &&
+          t.isIdentifier(left.property, { name: '$get' })
+        ) {
+          const right = path.get('right')
+          if (right.isFunction()) annotateToArray(right)
+        }
+      },
+      'FunctionDeclaration|ClassDeclaration'(path) {
+        const commentNode = path.parentPath.isExportDeclaration()
+          ? path.parent
+          : path.node
+        if (hasNgInjectComment(commentNode)) {
+          addInjectProperty(path)
+        }
+      },
+    },
+  }
+}